@@ -0,0 +1,356 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+const { isSameName, readAllPages, addTableRow, removeTableRow } = require('./list.js');
+
+/**
+ * Puppeteer page function for "listAttributes".
+ * 
+ * Rows without a checkbox (e.g. "No results") are skipped.
+ * 
+ * @private
+ * @param {Object} selectors - attribute list selectors.
+ * @returns {Array<Object>}
+ */
+function getAttributeListRowsFromDOM(selectors) {
+    return Array.from(document.querySelectorAll(selectors.tableRows)).map(row => {
+        const checkbox = row.querySelector(selectors.rowCheckbox);
+        if (!checkbox) return null;
+
+        const getText = selector => row.querySelector(selector)?.textContent.trim() ?? '';
+
+        return {
+            attributeId: checkbox.value,
+            name: getText(selectors.nameCell),
+            group: getText(selectors.groupCell),
+            sortOrder: Number(getText(selectors.sortOrderCell)) || 0,
+            url: row.querySelector(selectors.linkCell)?.querySelector('a')?.href || ''
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * List all attributes of the shop.
+ * 
+ * @returns {Promise<Array<{ attributeId: string, name: string, group: string, sortOrder: number, url: string }>>} groups are
+ * names of attribute groups, URLs are the ones of edit pages.
+ */
+async function listAttributes() {
+    const url = new URL(this.urls.attributeList);
+    const attributes = [];
+
+    const readPage = async pageNumber => {
+        url.searchParams.set('page', String(pageNumber));
+
+        const response = await this.page.goto(url.toString(), { waitUntil: 'domcontentloaded' });
+
+        if (!response?.ok()) {
+            throw new Error(`Cannot nav to page ${pageNumber} of the attribute list`);
+        }
+
+        return await this.page.evaluate(getAttributeListRowsFromDOM, this.attributeListSelectors);
+    };
+
+    for await (const row of readAllPages(readPage, row => row.attributeId)) {
+        attributes.push(row);
+    }
+
+    return attributes;
+}
+
+/**
+ * Create a new attribute and save it. The name is set for all languages.
+ * 
+ * @param {Object} data
+ * @param {string} data.name
+ * @param {string} data.group - name of an existing attribute group.
+ * @param {Object<string, any>} [data.fields] - values by names of "attributePageSelectors.fields", e.g. { sort_order: 1 }.
+ * @returns {Promise<{ attributeId: string, name: string, group: string, url: string }>}
+ */
+async function createAttribute(data) {
+    is.invalidType('data', 'object', data);
+    is.invalidType('data.name', 'string', data.name);
+    is.invalidType('data.group', 'string', data.group);
+    is.invalidType('data.fields', 'object', data.fields, true);
+
+    const selectors = this.attributePageSelectors;
+    const attributes = await this.listAttributes();
+
+    const response = await this.page.goto(this.urls.attributeInsert, { waitUntil: 'domcontentloaded' });
+
+    if (!response?.ok()) {
+        throw new Error(`Cannot nav to the attribute insert page`);
+    }
+
+    await this.page.$$eval(selectors.names, (els, name) => els.forEach(el => el.value = name), data.name);
+
+    const groupId = await this.page.$eval(selectors.fields.attribute_group_id, (el, group) => {
+        const option = Array.from(el.options).find(option => {
+            return option.value && option.textContent.trim().toLowerCase() === group;
+        });
+        return option?.value ?? null;
+    }, data.group.trim().toLowerCase());
+
+    if (groupId === null) {
+        throw new Error(`Attribute group ${data.group} is not found`);
+    }
+
+    await this.fillProductFields(selectors.fields, { ...data.fields, attribute_group_id: groupId });
+    await this.callHook('saveForm', selectors);
+
+    // The new attribute is the one that was not listed before
+    const created = (await this.listAttributes()).find(attribute => {
+        return isSameName(attribute.name, data.name) &&
+            !attributes.some(old => old.attributeId === attribute.attributeId);
+    });
+
+    if (!created) {
+        throw new Error(`Attribute ${data.name} is not found after saving`);
+    }
+
+    return { attributeId: created.attributeId, name: created.name, group: created.group, url: created.url };
+}
+
+/**
+ * Create attributes that are missing in the shop. This is done on a side page, so the current one is kept as it is.
+ * 
+ * @private
+ * @param {Array<string>} names
+ * @param {string} [group] - attribute group of new attributes.
+ * @returns {Promise<Array<string>>} names of created attributes.
+ */
+async function createMissingAttributes(names, group) {
+    return await this.withSidePage(async () => {
+        const attributes = await this.listAttributes();
+        const missing = names.filter(name => !attributes.some(attribute => isSameName(attribute.name, name)));
+
+        if (missing.length && !group) {
+            throw new Error(`Attributes ${missing.join(', ')} are not found. Pass options.group to create them`);
+        }
+
+        for (const name of missing) {
+            await this.createAttribute({ name, group });
+        }
+
+        return missing;
+    });
+}
+
+/**
+ * Puppeteer page function to read attribute rows of a product page.
+ * 
+ * @private
+ * @param {Object} selectors - "productPageSelectors.attribute".
+ * @returns {Array<{ rowId: string, name: string, texts: Object<string, string> }>} texts by language IDs.
+ */
+function getAttributeRowsFromDOM(selectors) {
+    return Array.from(document.querySelectorAll(selectors.rows)).map(row => {
+        const texts = {};
+
+        for (const textarea of row.querySelectorAll('textarea')) {
+            const languageId = textarea.name.match(/\[product_attribute_description\]\[(\d+)\]/)?.[1];
+            if (languageId) texts[languageId] = textarea.value;
+        }
+
+        return { rowId: row.id, name: row.querySelector(selectors.nameInput)?.value.trim() ?? '', texts };
+    });
+}
+
+/**
+ * Read attribute rows of a product page as they are in the form.
+ * 
+ * @private
+ * @returns {Promise<Array<Object>>} see "getAttributeRowsFromDOM".
+ */
+async function readAttributeRows() {
+    await this.navToProductPageTab('attribute');
+
+    return await this.page.evaluate(getAttributeRowsFromDOM, this.productPageSelectors.attribute);
+}
+
+/**
+ * Get attributes of a product from the attribute tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @returns {Promise<Array<{ name: string, texts: Object<string, string> }>>} texts by language IDs.
+ */
+async function getProductAttributes() {
+    this.isInvalidPage('product', 'productInsert');
+
+    const rows = await this.readAttributeRows();
+
+    return rows.filter(row => row.name).map(({ name, texts }) => ({ name, texts }));
+}
+
+/**
+ * Validate attributes of "setProductAttributes".
+ * 
+ * @private
+ * @param {Array<Object>} attributes
+ * @returns {void}
+ */
+function validateAttributes(attributes) {
+    is.invalidType('attributes', 'array', attributes);
+
+    attributes.forEach((attribute, i) => {
+        is.invalidType(`attributes[${i}]`, 'object', attribute);
+        is.invalidType(`attributes[${i}].name`, 'string', attribute.name);
+
+        if (is.defined(attribute.texts) && !is.string(attribute.texts) && !is.object(attribute.texts)) {
+            throw is.invalidTypeError(`attributes[${i}].texts`, 'object', attribute.texts);
+        }
+        if (is.object(attribute.texts)) {
+            for (const [language, text] of Object.entries(attribute.texts)) {
+                is.invalidType(`attributes[${i}].texts.${language}`, 'string', text);
+            }
+        }
+
+        // OpenCart keeps one row per attribute, so a duplicate would overwrite the first one
+        if (attributes.slice(0, i).some(prev => isSameName(prev.name, attribute.name))) {
+            throw new Error(`Attribute ${attribute.name} is duplicated in attributes`);
+        }
+    });
+}
+
+/**
+ * Add an attribute row and pick an attribute in its autocomplete. The row is removed if the attribute is not found.
+ * 
+ * @private
+ * @param {string} name
+ * @returns {Promise<string>} ID of the new row.
+ */
+async function addAttributeRow(name) {
+    const { rows, addBtn, nameInput, nameOptions } = this.productPageSelectors.attribute;
+    const rowId = await addTableRow(this.page, rows, addBtn);
+
+    try {
+        await this.pickAutocompleteOption(`#${rowId} ${nameInput}`, nameOptions.replaceAll('{row}', rowId), name,
+            text => isSameName(text, name), `Attribute ${name}`);
+    } catch (e) {
+        await this.removeAttributeRow(rowId);
+        throw e;
+    }
+
+    return rowId;
+}
+
+/**
+ * Remove an attribute row by its button.
+ * 
+ * @private
+ * @param {string} rowId
+ * @returns {Promise<void>}
+ */
+async function removeAttributeRow(rowId) {
+    await removeTableRow(this.page, rowId, this.productPageSelectors.attribute.removeBtn);
+}
+
+/**
+ * Fill texts of an attribute row.
+ * 
+ * @private
+ * @param {Object} row - see "getAttributeRowsFromDOM".
+ * @param {string | Object<string, string>} texts - one text for all languages or texts by languages.
+ * @returns {Promise<boolean>} was anything changed?
+ */
+async function fillAttributeRow(row, texts) {
+    const values = {};
+
+    if (is.string(texts)) {
+        for (const languageId of Object.keys(row.texts)) values[languageId] = texts;
+    } else {
+        for (const [language, text] of Object.entries(texts)) {
+            values[await this.resolveProductLanguage(language)] = text;
+        }
+    }
+
+    const template = this.productPageSelectors.attribute.text;
+    const selectors = Object.fromEntries(Object.keys(values).map(languageId => {
+        return [ languageId, `#${row.rowId} ${template.replaceAll('{language}', languageId)}` ];
+    }));
+
+    return (await this.fillProductFields(selectors, values)).length > 0;
+}
+
+/**
+ * Set attributes of a product on the attribute tab.
+ * 
+ * Rows are matched by attribute names. A missing row is added by picking its attribute in the autocomplete,
+ * and rows of other attributes are removed. Running it again changes nothing.
+ * 
+ * An attribute must exist in the shop, otherwise an Error is thrown. With createMissing=true missing attributes
+ * are created in a group first, on a side page so the changes of the product page are kept.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Array<{ name: string, texts?: string | Object<string, string> }>} attributes - texts are either one text
+ * for all languages or texts by language IDs, codes or names (see "resolveProductLanguage"). Old texts are kept without them.
+ * @param {Object} [options]
+ * @param {boolean} [options.createMissing=false] - set this to true to create missing attributes.
+ * @param {string} [options.group] - name of an attribute group for created attributes.
+ * @returns {Promise<boolean>} was anything changed?
+ */
+async function setProductAttributes(attributes, options = {}) {
+    validateAttributes(attributes);
+    is.invalidType('options', 'object', options);
+    is.invalidType('options.createMissing', 'boolean', options.createMissing, true);
+    is.invalidType('options.group', 'string', options.group, true);
+
+    this.isInvalidPage('product', 'productInsert');
+
+    if (options.createMissing) {
+        await this.createMissingAttributes(attributes.map(attribute => attribute.name), options.group);
+    }
+
+    const current = await this.readAttributeRows();
+    const unmatched = current.slice();
+
+    const pairs = attributes.map(attribute => {
+        const index = unmatched.findIndex(old => old.name && isSameName(old.name, attribute.name));
+        return index === -1 ? null : unmatched.splice(index, 1)[0];
+    });
+
+    let changed = false;
+
+    for (const old of unmatched) {
+        await this.removeAttributeRow(old.rowId);
+        changed = true;
+    }
+
+    for (let i = 0; i < attributes.length; i++) {
+        let row = pairs[i];
+
+        if (!row) {
+            const rowId = await this.addAttributeRow(attributes[i].name);
+            row = (await this.readAttributeRows()).find(row => row.rowId === rowId);
+            changed = true;
+        }
+
+        if (is.defined(attributes[i].texts) && await this.fillAttributeRow(row, attributes[i].texts)) {
+            changed = true;
+        }
+    }
+
+    return changed;
+}
+
+module.exports = function (Cartmin) {
+    Object.assign(Cartmin.prototype, {
+        listAttributes,
+        createAttribute,
+        getProductAttributes,
+        setProductAttributes,
+        // private
+        createMissingAttributes,
+        readAttributeRows,
+        addAttributeRow,
+        removeAttributeRow,
+        fillAttributeRow
+    });
+};
@@ -0,0 +1,368 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const is = require('./is.js');
+const { readAllPages } = require('./list.js');
+const { defineHooks } = require('./strategies.js');
+
+// Sort keys of the catalog by column names
+const SORT_KEYS = {
+    name: 'pd.name',
+    model: 'p.model',
+    price: 'p.price',
+    quantity: 'p.quantity',
+    status: 'p.status',
+    sortOrder: 'p.sort_order'
+};
+
+/**
+ * Build a catalog URL with query parameters. Undefined parameters are skipped.
+ * 
+ * @private
+ * @param {string} catalogUrl
+ * @param {Object} params
+ * @returns {URL}
+ */
+function getCatalogListUrl(catalogUrl, params) {
+    const url = new URL(catalogUrl);
+
+    for (const [param, value] of Object.entries(params)) {
+        if (is.defined(value)) url.searchParams.set(param, String(value));
+    }
+
+    return url;
+}
+
+/**
+ * Nav to a page of a catalog list.
+ * 
+ * @private
+ * @param {URL} url - catalog URL with filters.
+ * @param {number} pageNumber
+ * @returns {Promise<void>}
+ */
+async function navToCatalogListPage(url, pageNumber) {
+    url.searchParams.set('page', String(pageNumber));
+
+    const response = await this.page.goto(url.toString(), { waitUntil: 'domcontentloaded' });
+
+    if (!response?.ok()) {
+        throw new Error(`Cannot nav to page ${pageNumber} of the catalog`);
+    }
+}
+
+/**
+ * Puppeteer page function to tick the checkboxes of catalog rows of specific products.
+ * 
+ * @private
+ * @param {Array<string>} productIds - OpenCart product IDs.
+ * @param {Object} selectors - catalog selectors.
+ * @returns {Array<string>} OpenCart product IDs of ticked rows.
+ */
+function tickCatalogRowsInDOM(productIds, selectors) {
+    const ticked = [];
+
+    for (const row of document.querySelectorAll(selectors.tableRows)) {
+        const checkbox = row.querySelector(selectors.rowCheckbox);
+
+        if (checkbox && productIds.includes(checkbox.value)) {
+            checkbox.checked = true;
+            ticked.push(checkbox.value);
+        }
+    }
+
+    return ticked;
+}
+
+/**
+ * Tick rows of specific products on the first page of a catalog list that has any of them.
+ * 
+ * @private
+ * @param {URL} url - catalog URL with filters.
+ * @param {Array<string>} productIds - OpenCart product IDs.
+ * @returns {Promise<Array<string>>} OpenCart product IDs of ticked rows, empty if no page has them.
+ */
+async function tickCatalogRows(url, productIds) {
+    const readPage = async pageNumber => {
+        await this.navToCatalogListPage(url, pageNumber);
+        return await this.page.evaluate(getCatalogRowsFromDOM, this.catalogSelectors);
+    };
+
+    for await (const row of readAllPages(readPage, row => row.productId)) {
+        // Rows are yielded page by page, so the page of the row is still open
+        if (productIds.includes(row.productId)) {
+            return await this.page.evaluate(tickCatalogRowsInDOM, productIds, this.catalogSelectors);
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Run a bulk action of the catalog on all products with a specific model.
+ * 
+ * Products may be on several pages of the filtered catalog, so the action is run page by page.
+ * 
+ * @private
+ * @param {string} id - product ID.
+ * @param {string} btnSelector - button of the action.
+ * @returns {Promise<boolean>} were products with the model found?
+ */
+async function runCatalogActionOnModel(id, btnSelector) {
+    const productIds = [];
+
+    // The catalog filter matches models by their beginning
+    for await (const row of this.listProducts({ model: id })) {
+        if (row.model === id) productIds.push(row.productId);
+    }
+
+    if (!productIds.length) return false;
+
+    const url = getCatalogListUrl(this.urls.catalog, { filter_model: id });
+
+    while (productIds.length) {
+        const ticked = await this.tickCatalogRows(url, productIds);
+
+        // Products can be deleted by someone else meanwhile
+        if (!ticked.length) break;
+
+        await this.runCatalogAction(btnSelector);
+        _.pullAll(productIds, ticked);
+    }
+
+    return true;
+}
+
+/**
+ * Run a bulk action of the catalog on ticked rows.
+ * 
+ * A confirmation dialog of the action is accepted.
+ * 
+ * @private
+ * @param {string} btnSelector - button of the action.
+ * @returns {Promise<void>}
+ */
+async function runCatalogAction(btnSelector) {
+    const acceptDialog = dialog => dialog.accept();
+    this.page.once('dialog', acceptDialog);
+
+    try {
+        const { isSuccess, message } = await this.callHook('submitCatalogAction', btnSelector);
+
+        if (!isSuccess) {
+            throw new Error(`Catalog action failed: ${message}`);
+        }
+    } finally {
+        this.page.off('dialog', acceptDialog);
+    }
+}
+
+/**
+ * Puppeteer page function to read the result banner of a catalog action.
+ * 
+ * @private
+ * @param {string} successSelector
+ * @param {string} errorSelector
+ * @returns {{ isSuccess: boolean, message: string }}
+ */
+function getCatalogActionResultFromDOM(successSelector, errorSelector) {
+    const success = document.querySelector(successSelector);
+    const error = document.querySelector(errorSelector);
+
+    return {
+        isSuccess: !!success && !error,
+        message: (error || success)?.textContent.trim() || 'no result message'
+    };
+}
+
+/**
+ * Hook for OpenCart before 4.0: a catalog form is submitted, and the result is shown on the reloaded catalog page.
+ * 
+ * @private
+ * @param {string} btnSelector
+ * @returns {Promise<{ isSuccess: boolean, message: string }>}
+ */
+async function submitCatalogForm(btnSelector) {
+    const [response] = await Promise.all([
+        this.page.waitForNavigation({ waitUntil: 'domcontentloaded' }),
+        this.page.click(btnSelector)
+    ]);
+
+    if (!response?.ok()) {
+        throw new Error(`Cannot nav to the catalog page after a catalog action`);
+    }
+
+    const { successMsg, errorMsg } = this.catalogSelectors;
+    return await this.page.evaluate(getCatalogActionResultFromDOM, successMsg, errorMsg);
+}
+
+/**
+ * Hook for OpenCart 4.x: a catalog form is posted by AJAX, and the result is shown as an alert.
+ * 
+ * @private
+ * @param {string} btnSelector
+ * @returns {Promise<{ isSuccess: boolean, message: string }>}
+ */
+async function postCatalogForm(btnSelector) {
+    const { alert, successMsg, errorMsg } = this.catalogSelectors;
+
+    await this.page.$eval(alert, el => el.innerHTML = '');
+    await this.page.click(btnSelector);
+    await this.page.waitForSelector(`${successMsg}, ${errorMsg}`);
+
+    return await this.page.evaluate(getCatalogActionResultFromDOM, successMsg, errorMsg);
+}
+
+/**
+ * Copy products. Copies are created by OpenCart with the same model and disabled status.
+ * 
+ * All products with the model of an ID are copied.
+ * 
+ * @param {Array<string>} ids - product IDs.
+ * @returns {Promise<Array<boolean>>} were products of an ID found and copied?
+ */
+async function copyProducts(ids) {
+    is.invalidType('ids', 'array', ids);
+
+    ids.forEach((id, i) => is.invalidType(`ids[${i}]`, 'string', id));
+
+    const copied = [];
+
+    for (const id of ids) {
+        copied.push(await this.runCatalogActionOnModel(id, this.catalogSelectors.copyBtn));
+    }
+
+    return copied;
+}
+
+/**
+ * Delete products.
+ * 
+ * All products with the model of an ID are deleted. Deletion cannot be undone, so it must be confirmed explicitly.
+ * 
+ * @param {Array<string>} ids - product IDs.
+ * @param {Object} options
+ * @param {boolean} options.confirm - set this to true to confirm the deletion.
+ * @returns {Promise<Array<boolean>>} were products of an ID found and deleted?
+ */
+async function deleteProducts(ids, options = {}) {
+    is.invalidType('ids', 'array', ids);
+    is.invalidType('options', 'object', options);
+
+    if (options.confirm !== true) {
+        throw new Error('Deletion of products cannot be undone. Pass { confirm: true } to delete them');
+    }
+
+    ids.forEach((id, i) => is.invalidType(`ids[${i}]`, 'string', id));
+
+    const deleted = [];
+
+    for (const id of ids) {
+        deleted.push(await this.runCatalogActionOnModel(id, this.catalogSelectors.deleteBtn));
+    }
+
+    return deleted;
+}
+
+/**
+ * Puppeteer page function for "listProducts".
+ * 
+ * Rows without a checkbox (e.g. "No results") are skipped.
+ * 
+ * @private
+ * @param {Object} selectors - catalog selectors.
+ * @returns {Array<Object>}
+ */
+function getCatalogRowsFromDOM(selectors) {
+    return Array.from(document.querySelectorAll(selectors.tableRows)).map(row => {
+        const checkbox = row.querySelector(selectors.rowCheckbox);
+        if (!checkbox) return null;
+
+        const getText = selector => row.querySelector(selector)?.textContent.trim() ?? '';
+
+        return {
+            productId: checkbox.value,
+            name: getText(selectors.nameCell),
+            model: getText(selectors.modelCell),
+            price: getText(selectors.priceCell),
+            quantity: getText(selectors.quantityCell),
+            status: getText(selectors.statusCell),
+            url: row.querySelector(selectors.linkCell)?.querySelector('a')?.href || ''
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Iterate over products of the catalog, page by page.
+ * 
+ * Filters are the ones of the catalog page, so OpenCart matches name and model by their beginning.
+ * 
+ * @param {Object} [filters]
+ * @param {string} [filters.name]
+ * @param {string} [filters.model]
+ * @param {string | number} [filters.price]
+ * @param {string | number} [filters.quantity]
+ * @param {boolean} [filters.status]
+ * @param {string} [filters.sort] - name, model, price, quantity, status or sortOrder.
+ * @param {string} [filters.order] - ASC or DESC.
+ * @yields {{ productId: string, name: string, model: string, price: string, quantity: string, status: string, url: string }}
+ * texts of the catalog columns and an edit URL.
+ */
+async function* listProducts(filters = {}) {
+    is.invalidType('filters', 'object', filters);
+    is.invalidType('filters.name', 'string', filters.name, true);
+    is.invalidType('filters.model', 'string', filters.model, true);
+    is.invalidType('filters.status', 'boolean', filters.status, true);
+    is.invalidType('filters.sort', 'string', filters.sort, true);
+    is.invalidType('filters.order', 'string', filters.order, true);
+
+    if (is.defined(filters.sort) && !SORT_KEYS[filters.sort]) {
+        throw new Error(`Sorting by ${filters.sort} is not supported. Use one of: ${Object.keys(SORT_KEYS).join(', ')}`);
+    }
+    if (is.defined(filters.order) && !['ASC', 'DESC'].includes(filters.order.toUpperCase())) {
+        throw new Error(`Order ${filters.order} is not supported. Use ASC or DESC`);
+    }
+
+    const url = getCatalogListUrl(this.urls.catalog, {
+        filter_name: filters.name,
+        filter_model: filters.model,
+        filter_price: filters.price,
+        filter_quantity: filters.quantity,
+        filter_status: is.defined(filters.status) ? Number(filters.status) : undefined,
+        sort: SORT_KEYS[filters.sort],
+        order: filters.order?.toUpperCase()
+    });
+
+    const readPage = async pageNumber => {
+        await this.navToCatalogListPage(url, pageNumber);
+        return await this.page.evaluate(getCatalogRowsFromDOM, this.catalogSelectors);
+    };
+
+    yield* readAllPages(readPage, row => row.productId);
+}
+
+defineHooks(['1.5', '2.x', '3.x'], {
+    submitCatalogAction: submitCatalogForm
+});
+
+defineHooks(['4.x'], {
+    submitCatalogAction: postCatalogForm
+});
+
+module.exports = function (Cartmin) {
+    Object.assign(Cartmin.prototype, {
+        copyProducts,
+        deleteProducts,
+        listProducts,
+        // private
+        navToCatalogListPage,
+        tickCatalogRows,
+        runCatalogAction,
+        runCatalogActionOnModel
+    });
+};
\ No newline at end of file
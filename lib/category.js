@@ -0,0 +1,464 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+const { readAllPages } = require('./list.js');
+const { defineHooks } = require('./strategies.js');
+
+/**
+ * Bring a category path to the form "Shoes > Running".
+ * 
+ * OpenCart separates names of a path with " > " wrapped in spaces or non-breaking spaces, depending on a version.
+ * 
+ * @private
+ * @param {string} path
+ * @returns {string}
+ */
+function normalizeCategoryPath(path) {
+    return path.split('>').map(name => name.trim()).filter(Boolean).join(' > ');
+}
+
+/**
+ * @private
+ * @param {string} path1
+ * @param {string} path2
+ * @returns {boolean}
+ */
+function isSameCategoryPath(path1, path2) {
+    return normalizeCategoryPath(path1).toLowerCase() === normalizeCategoryPath(path2).toLowerCase();
+}
+
+/**
+ * Find a category by its path among the ones of "listCategories".
+ * 
+ * @private
+ * @param {Array<Object>} categories
+ * @param {string} path
+ * @returns {Object}
+ */
+function pickCategory(categories, path) {
+    const found = categories.filter(category => isSameCategoryPath(category.path, path));
+
+    if (!found.length) {
+        throw new Error(`Category ${path} is not found`);
+    }
+    if (found.length > 1) {
+        const candidates = found.map(category => `categoryId ${category.categoryId}`).join(', ');
+        throw new Error(`Category ${path} is ambiguous. Candidates: ${candidates}`);
+    }
+
+    return found[0];
+}
+
+/**
+ * Puppeteer page function for "listCategories".
+ * 
+ * Rows without a checkbox (e.g. "No results") are skipped.
+ * 
+ * @private
+ * @param {Object} selectors - category list selectors.
+ * @returns {Array<Object>}
+ */
+function getCategoryRowsFromDOM(selectors) {
+    return Array.from(document.querySelectorAll(selectors.tableRows)).map(row => {
+        const checkbox = row.querySelector(selectors.rowCheckbox);
+        if (!checkbox) return null;
+
+        return {
+            categoryId: checkbox.value,
+            path: row.querySelector(selectors.nameCell)?.textContent ?? '',
+            sortOrder: Number(row.querySelector(selectors.sortOrderCell)?.textContent.trim()) || 0,
+            url: row.querySelector(selectors.linkCell)?.querySelector('a')?.href || ''
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * List all categories of the shop.
+ * 
+ * @returns {Promise<Array<{ categoryId: string, path: string, sortOrder: number, url: string }>>} paths are
+ * in the form "Shoes > Running", URLs are the ones of edit pages.
+ */
+async function listCategories() {
+    const url = new URL(this.urls.categoryList);
+    const categories = [];
+
+    const readPage = async pageNumber => {
+        url.searchParams.set('page', String(pageNumber));
+
+        const response = await this.page.goto(url.toString(), { waitUntil: 'domcontentloaded' });
+
+        if (!response?.ok()) {
+            throw new Error(`Cannot nav to page ${pageNumber} of the category list`);
+        }
+
+        return await this.page.evaluate(getCategoryRowsFromDOM, this.categoryListSelectors);
+    };
+
+    for await (const row of readAllPages(readPage, row => row.categoryId)) {
+        categories.push({ ...row, path: normalizeCategoryPath(row.path) });
+    }
+
+    return categories;
+}
+
+/**
+ * Validate data of "createCategory" and "updateCategory".
+ * 
+ * @private
+ * @param {Object} data
+ * @returns {void}
+ */
+function validateCategoryData(data) {
+    is.invalidType('data', 'object', data);
+    is.invalidType('data.parent', 'string', data.parent, true);
+    is.invalidType('data.description', 'string', data.description, true);
+    is.invalidType('data.keyword', 'string', data.keyword, true);
+    is.invalidType('data.image', 'string', data.image, true);
+    is.invalidType('data.dirPath', 'string', data.dirPath, true);
+    is.invalidType('data.fields', 'object', data.fields, true);
+}
+
+/**
+ * Fill the current category form.
+ * 
+ * @private
+ * @param {Object} data - see "createCategory". Undefined values are skipped.
+ * @param {Object | null} [parent] - parent category of "listCategories", null for a top one. Skipped if undefined.
+ * @returns {Promise<void>}
+ */
+async function fillCategoryPage(data, parent) {
+    const selectors = this.categoryPageSelectors;
+    const { names, metaTitles, descriptions, keyword } = selectors.general;
+
+    const languageIds = await this.page.$$eval(descriptions, els => {
+        return els.map(el => el.name.match(/\[(\d+)\]/)?.[1]).filter(Boolean);
+    });
+
+    // General tab
+    if (is.defined(data.name)) {
+        await this.page.$$eval(names, (els, name) => els.forEach(el => el.value = name), data.name);
+
+        // A meta title is required since OpenCart 2.0, so an empty one gets the name
+        if (metaTitles) await this.page.$$eval(metaTitles, (els, name) => els.forEach(el => el.value ||= name), data.name);
+    }
+
+    if (is.defined(data.description)) {
+        for (const languageId of languageIds) {
+            await this.callHook('setEditorHtml', languageId, data.description, selectors.general);
+        }
+    }
+
+    // An SEO keyword is set for the first language, since it must be unique in the shop
+    if (is.defined(data.keyword)) {
+        const keywordSelector = keyword.replaceAll('{language}', languageIds[0] || '1');
+        await this.fillProductFields({ keyword: keywordSelector }, { keyword: data.keyword });
+    }
+
+    // Data tab
+    if (is.defined(parent)) {
+        await this.fillProductFields(selectors.fields, { parent_id: parent?.categoryId ?? '0' });
+
+        if (selectors.parentPath) {
+            await this.page.$eval(selectors.parentPath, (el, path) => el.value = path, parent?.path ?? '');
+        }
+    }
+
+    if (data.fields) await this.fillProductFields(selectors.fields, data.fields);
+
+    if (is.defined(data.image)) await this.setFormImage(selectors, data.image, data.dirPath);
+}
+
+/**
+ * Create a new category and save it.
+ * 
+ * @param {Object} data
+ * @param {string} data.name - name for every language of the shop. It is used as a meta title as well where one is required.
+ * @param {string} [data.parent] - path of a parent category, e.g. "Shoes". A top category is created without it.
+ * @param {string} [data.description] - HTML for every language of the shop.
+ * @param {string} [data.keyword] - SEO keyword.
+ * @param {string} [data.image] - name.format of a file in a file manager.
+ * @param {string} [data.dirPath] - directory path. Used to nav in a file manager before a file selection.
+ * @param {Object<string, any>} [data.fields] - values by names of "categoryPageSelectors.fields", e.g. { top: true, column: 1 }.
+ * @returns {Promise<{ categoryId: string, path: string, url: string }>}
+ */
+async function createCategory(data) {
+    validateCategoryData(data);
+    is.invalidType('data.name', 'string', data.name);
+
+    const categories = await this.listCategories();
+    const parent = data.parent ? pickCategory(categories, data.parent) : null;
+    const path = normalizeCategoryPath(parent ? `${parent.path} > ${data.name}` : data.name);
+
+    const response = await this.page.goto(this.urls.categoryInsert, { waitUntil: 'domcontentloaded' });
+
+    if (!response?.ok()) {
+        throw new Error(`Cannot nav to the category insert page`);
+    }
+
+    await this.fillCategoryPage(data, parent);
+    await this.callHook('saveForm', this.categoryPageSelectors);
+
+    // The new category is the one that was not listed before
+    const created = (await this.listCategories()).find(category => {
+        return isSameCategoryPath(category.path, path) && !categories.some(old => old.categoryId === category.categoryId);
+    });
+
+    if (!created) {
+        throw new Error(`Category ${path} is not found after saving`);
+    }
+
+    return { categoryId: created.categoryId, path: created.path, url: created.url };
+}
+
+/**
+ * Update a category and save it. Only the given values are changed.
+ * 
+ * @param {string} path - path of the category, e.g. "Shoes > Running".
+ * @param {Object} data - see "createCategory". Set data.parent="" to move a category to the top,
+ * and data.image="" to clear an image.
+ * @param {string} [data.name]
+ * @returns {Promise<{ categoryId: string, path: string, url: string }>} the category with its new path.
+ */
+async function updateCategory(path, data) {
+    is.invalidType('path', 'string', path);
+    validateCategoryData(data);
+    is.invalidType('data.name', 'string', data.name, true);
+
+    const categories = await this.listCategories();
+    const category = pickCategory(categories, path);
+
+    let parent;
+    if (is.defined(data.parent)) parent = data.parent ? pickCategory(categories, data.parent) : null;
+
+    const response = await this.page.goto(category.url, { waitUntil: 'domcontentloaded' });
+
+    if (!response?.ok()) {
+        throw new Error(`Cannot nav to the page of category ${category.path}`);
+    }
+
+    await this.fillCategoryPage(data, parent);
+    await this.callHook('saveForm', this.categoryPageSelectors);
+
+    const names = category.path.split(' > ');
+    const name = data.name ?? names.pop();
+    const parentPath = is.defined(parent) ? parent?.path : names.join(' > ');
+
+    return {
+        categoryId: category.categoryId,
+        path: normalizeCategoryPath(parentPath ? `${parentPath} > ${name}` : name),
+        url: category.url
+    };
+}
+
+/**
+ * Get categories of a product from the links tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @returns {Promise<Array<{ categoryId: string, path: string }>>} paths are in the form "Shoes > Running".
+ */
+async function getProductCategories() {
+    this.isInvalidPage('product', 'productInsert');
+
+    await this.navToProductPageTab('links');
+
+    const categories = await this.callHook('getProductCategoryRows');
+    return categories.map(({ categoryId, path }) => ({ categoryId, path: normalizeCategoryPath(path) }));
+}
+
+/**
+ * Assign categories to a product on the links tab. Throws an Error if a category is not found.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Array<string>} paths - full paths of categories, e.g. [ 'Shoes > Running' ].
+ * @returns {Promise<Array<boolean>>} were categories assigned? Already assigned ones are skipped.
+ */
+async function addProductCategories(paths) {
+    is.invalidType('paths', 'array', paths);
+
+    const assigned = await this.getProductCategories();
+    const added = Array(paths.length).fill(false);
+
+    for (let i = 0; i < paths.length; i++) {
+        is.invalidType(`paths[${i}]`, 'string', paths[i]);
+
+        const path = normalizeCategoryPath(paths[i]);
+        if (assigned.some(category => isSameCategoryPath(category.path, path))) continue;
+
+        await this.callHook('assignProductCategory', path);
+        assigned.push({ path });
+        added[i] = true;
+    }
+
+    return added;
+}
+
+/**
+ * Remove categories from a product on the links tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Array<string>} paths - full paths of categories, e.g. [ 'Shoes > Running' ].
+ * @returns {Promise<Array<boolean>>} were categories removed? Not assigned ones are skipped.
+ */
+async function removeProductCategories(paths) {
+    is.invalidType('paths', 'array', paths);
+
+    const assigned = await this.getProductCategories();
+    const removed = Array(paths.length).fill(false);
+
+    for (let i = 0; i < paths.length; i++) {
+        is.invalidType(`paths[${i}]`, 'string', paths[i]);
+
+        const category = assigned.find(category => isSameCategoryPath(category.path, paths[i]));
+        if (!category) continue;
+
+        await this.callHook('unassignProductCategory', category.categoryId);
+        assigned.splice(assigned.indexOf(category), 1);
+        removed[i] = true;
+    }
+
+    return removed;
+}
+
+/**
+ * Puppeteer page function to get category checkboxes of a product page (OpenCart 1.5).
+ * 
+ * @private
+ * @param {string} selector - category checkboxes.
+ * @returns {Array<{ categoryId: string, path: string, checked: boolean }>}
+ */
+function getCategoryCheckboxesFromDOM(selector) {
+    return Array.from(document.querySelectorAll(selector)).map(el => ({
+        categoryId: el.value,
+        path: el.parentElement.textContent,
+        checked: el.checked
+    }));
+}
+
+/**
+ * Hook for OpenCart 1.5: categories are checkboxes.
+ * 
+ * @private
+ * @returns {Promise<Array<{ categoryId: string, path: string }>>}
+ */
+async function getCheckedCategories() {
+    const checkboxes = await this.page.evaluate(getCategoryCheckboxesFromDOM, this.productPageSelectors.links.categories);
+
+    return checkboxes.filter(checkbox => checkbox.checked).map(({ categoryId, path }) => ({ categoryId, path }));
+}
+
+/**
+ * Hook for OpenCart 1.5: a category is assigned by checking its checkbox.
+ * 
+ * @private
+ * @param {string} path
+ * @returns {Promise<void>}
+ */
+async function checkCategory(path) {
+    const { categories } = this.productPageSelectors.links;
+    const checkboxes = await this.page.evaluate(getCategoryCheckboxesFromDOM, categories);
+    const checkbox = checkboxes.find(checkbox => isSameCategoryPath(checkbox.path, path));
+
+    if (!checkbox) {
+        throw new Error(`Category ${path} is not found on the links tab`);
+    }
+
+    await this.fillProductFields({ category: `${categories}[value='${checkbox.categoryId}']` }, { category: true });
+}
+
+/**
+ * Hook for OpenCart 1.5: a category is removed by unchecking its checkbox.
+ * 
+ * @private
+ * @param {string} categoryId
+ * @returns {Promise<void>}
+ */
+async function uncheckCategory(categoryId) {
+    const { categories } = this.productPageSelectors.links;
+    await this.fillProductFields({ category: `${categories}[value='${categoryId}']` }, { category: false });
+}
+
+/**
+ * Hook for OpenCart 2.x and later: categories are rows added through an autocomplete.
+ * 
+ * @private
+ * @returns {Promise<Array<{ categoryId: string, path: string }>>}
+ */
+async function getAutocompleteCategories() {
+    return await this.page.evaluate(selectors => {
+        return Array.from(document.querySelectorAll(selectors.categories)).map(input => ({
+            categoryId: input.value,
+            path: input.closest(selectors.categoryRow)?.textContent ?? ''
+        }));
+    }, this.productPageSelectors.links);
+}
+
+/**
+ * Hook for OpenCart 2.x and later: a category is searched by its own name in an autocomplete,
+ * and an option with the full path is picked.
+ * 
+ * @private
+ * @param {string} path
+ * @returns {Promise<void>}
+ */
+async function pickCategoryInAutocomplete(path) {
+    const { categoryInput, categoryOptions, categories } = this.productPageSelectors.links;
+    const count = await this.page.$$eval(categories, els => els.length);
+
+    await this.pickAutocompleteOption(categoryInput, categoryOptions, path.split(' > ').pop(),
+        text => isSameCategoryPath(text, path), `Category ${path}`);
+
+    await this.page.waitForFunction((selector, count) => {
+        return document.querySelectorAll(selector).length > count;
+    }, {}, categories, count);
+}
+
+/**
+ * Hook for OpenCart 2.x and later: a category is removed by a button of its row.
+ * 
+ * @private
+ * @param {string} categoryId
+ * @returns {Promise<void>}
+ */
+async function removeAutocompleteCategory(categoryId) {
+    await this.page.evaluate((selectors, categoryId) => {
+        const input = Array.from(document.querySelectorAll(selectors.categories)).find(el => el.value === categoryId);
+        input?.closest(selectors.categoryRow)?.querySelector(selectors.categoryRemoveBtn)?.click();
+    }, this.productPageSelectors.links, categoryId);
+
+    await this.page.waitForFunction((selector, categoryId) => {
+        return !Array.from(document.querySelectorAll(selector)).some(el => el.value === categoryId);
+    }, {}, this.productPageSelectors.links.categories, categoryId);
+}
+
+defineHooks(['1.5'], {
+    getProductCategoryRows: getCheckedCategories,
+    assignProductCategory: checkCategory,
+    unassignProductCategory: uncheckCategory
+});
+
+defineHooks(['2.x', '3.x', '4.x'], {
+    getProductCategoryRows: getAutocompleteCategories,
+    assignProductCategory: pickCategoryInAutocomplete,
+    unassignProductCategory: removeAutocompleteCategory
+});
+
+module.exports = function (Cartmin) {
+    Object.assign(Cartmin.prototype, {
+        listCategories,
+        createCategory,
+        updateCategory,
+        getProductCategories,
+        addProductCategories,
+        removeProductCategories,
+        // private
+        fillCategoryPage
+    });
+};
@@ -9,6 +9,8 @@ const puppeteer = require('puppeteer');
 const _ = require('lodash');
 const { getBaseUrl, extractToken, tokenizeUrl } = require('./url.js');
 const is = require('./is.js');
+const { getHook } = require('./strategies.js');
+const { resolveVersion, getTokenParam, matchVersions } = require('./version.js');
 const v_config = require('./version-config.json');
 
 const PUPPETEER_OPTIONS = {
@@ -17,8 +19,26 @@ const PUPPETEER_OPTIONS = {
     args: [ '--disable-gpu', '--ignore-certificate-errors' ]
 };
 
-// For singleton pattern
-let instance = null;
+const DESCRIPTION_FORMATS = [ 'text', 'html', 'markdown' ];
+
+// Pages whose URLs are tokenized after logging in. URLs of other pages are tokenized when used, e.g. with an entity ID.
+const TOKENIZED_PAGES = [
+    'dashboard', 'catalog', 'productInsert', 'categoryList', 'categoryInsert',
+    'manufacturerList', 'manufacturerInsert', 'attributeList', 'attributeInsert'
+];
+
+// Default state of a file manager on a page
+const PAGE_STATE = {
+    fileManagerFrame: null, // Puppeteer Frame of a file manager
+    blockRepetitiveXhr: false, // Block allowed POST XHR by a file manager if it was submitted the last time.
+    lastXhrPostData: null, // Data of the last POST XHR by a file manager
+    allowedXhrPostData: null, // Among POST XHR by a file manager, only those with such data are allowed
+    curDirFiles: null, // List of current directory file names
+    curDirPath: ''
+};
+
+// File manager state of each puppeteer Page. Several instances of Cartmin may share one browser, so it is not kept in an instance.
+const pageStates = new WeakMap();
 
 // OpenCart admin
 class Cartmin {
@@ -32,6 +52,23 @@ class Cartmin {
      * @param {string} config.credentials.password
      * @param {Object} config.fileManagerOptions - options for an interaction with a file manager.
      * @param {string} config.fileManagerOptions.successMsg - message of a browser dialog when file upload is successful.
+     * @param {string} [config.fileManagerOptions.actionSuccessMsg='Success'] - message (or its part) of a browser dialog when
+     * a file manager action (creation of a directory, deletion, renaming, moving or copying) is successful.
+     * @param {string} [config.fileManagerOptions.uploadConflict='skip'] - what to do when an uploaded file already exists
+     * in the current directory: "skip", "overwrite", "rename-with-suffix" or "error" (see "uploadFilesToFileManager").
+     * @param {string} [config.fileManagerOptions.uploadTransport='ui'] - how files are uploaded: "ui" through the upload button
+     * of a file manager, "http" by direct requests to its upload endpoint (see "uploadFilesToFileManager").
+     * @param {Object} [config.fileManagerOptions.uploadRules] - limits checked before each upload. They override the rules
+     * of the OpenCart version ("fileManagerRules" of version-config.json).
+     * @param {Array<string>} [config.fileManagerOptions.uploadRules.extensions] - allowed extensions without a dot.
+     * @param {Array<string>} [config.fileManagerOptions.uploadRules.mimeTypes] - allowed MIME types, recognized by file contents.
+     * @param {number | null} [config.fileManagerOptions.uploadRules.maxSize] - max file size in bytes.
+     * @param {number | null} [config.fileManagerOptions.uploadRules.maxWidth] - max image width in pixels.
+     * @param {number | null} [config.fileManagerOptions.uploadRules.maxHeight] - max image height in pixels.
+     * @param {number} [config.fileManagerOptions.uploadRules.minNameLength] - min length of a file name with its extension.
+     * @param {number} [config.fileManagerOptions.uploadRules.maxNameLength] - max length of a file name with its extension.
+     * @param {string | null} [config.fileManagerOptions.uploadRules.namePattern] - regular expression for file names
+     * that the file manager keeps as they are.
      * @param {Object} [config.productPageOptions] - options for the interaction with a product page.
      * @param {boolean} [config.productPageOptions.overwriteDescription=false] - set this to true to overwrite an old description if it exists.
      * @param {boolean} [config.productPageOptions.autoDeleteDescription=false] - set this to true to delete an old description when a new one does not exist.
@@ -39,13 +76,20 @@ class Cartmin {
      * @param {boolean} [config.productPageOptions.autoDeleteMainImage=false] - set this to true to delete an old main image when a new one does not exist.
      * @param {boolean} [config.productPageOptions.overwriteSecondaryImages=false] - set this to true to overwrite old secondary images if they exist.
      * @param {boolean} [config.productPageOptions.autoDeleteSecondaryImages=false] - set this to true to delete old secondary images when new ones do not exist.
+     * @param {string} [config.productPageOptions.descriptionFormat='text'] - format of new descriptions: "text" is typed into an editor,
+     * "html" is set through the API of an editor, "markdown" is converted to HTML first.
+     * @param {boolean} [config.productPageOptions.overwriteFields=false] - set this to true to overwrite old values of text fields if they exist (see "setProductFields").
+     * @param {boolean} [config.productPageOptions.autoDeleteFields=false] - set this to true to clear data tab fields when new values are empty.
+     * @param {boolean} [config.productPageOptions.overwriteSpecials=false] - set this to true to replace old special rows with new ones
+     * instead of merging them.
+     * @param {boolean} [config.productPageOptions.overwriteDiscounts=false] - set this to true to replace old discount rows with new ones
+     * instead of merging them.
      * @param {string} [config.placeholderImage] - URL of the placeholder image.
-     * @param {string} [version] - OpenCart version supported by Cartmin (see version-config.json).
+     * @param {string} [version] - OpenCart version supported by Cartmin (see version-config.json): "1.5", "2.x", "3.x" or "4.x".
+     * A full version string like "3.0.3.8" is accepted as well. Set this to "auto" to detect the version on login.
      * @returns {Cartmin}
      */
     constructor(config, version = '1.5') {
-        if (instance) return instance;
-
         is.invalidType('config', 'object', config);
         is.invalidType('config.baseUrl', 'string', config.baseUrl);
         is.invalidType('config.credentials', 'object', config.credentials);
@@ -53,6 +97,10 @@ class Cartmin {
         is.invalidType('config.credentials.password', 'string', config.credentials.password);
         is.invalidType('config.fileManagerOptions', 'object', config.fileManagerOptions);
         is.invalidType('config.fileManagerOptions.successMsg', 'string', config.fileManagerOptions.successMsg);
+        is.invalidType('config.fileManagerOptions.actionSuccessMsg', 'string', config.fileManagerOptions.actionSuccessMsg, true);
+        is.invalidType('config.fileManagerOptions.uploadConflict', 'string', config.fileManagerOptions.uploadConflict, true);
+        is.invalidType('config.fileManagerOptions.uploadTransport', 'string', config.fileManagerOptions.uploadTransport, true);
+        is.invalidType('config.fileManagerOptions.uploadRules', 'object', config.fileManagerOptions.uploadRules, true);
         is.invalidType('config.productPageOptions', 'object', config.productPageOptions, true);
         is.invalidType('config.productPageOptions.overwriteDescription', 'boolean', config.productPageOptions?.overwriteDescription, true);
         is.invalidType('config.productPageOptions.autoDeleteDescription', 'boolean', config.productPageOptions?.autoDeleteDescription, true);
@@ -60,62 +108,115 @@ class Cartmin {
         is.invalidType('config.productPageOptions.autoDeleteMainImage', 'boolean', config.productPageOptions?.autoDeleteMainImage, true);
         is.invalidType('config.productPageOptions.overwriteSecondaryImages', 'boolean', config.productPageOptions?.overwriteSecondaryImages, true);
         is.invalidType('config.productPageOptions.autoDeleteSecondaryImages', 'boolean', config.productPageOptions?.autoDeleteSecondaryImages, true);
+        is.invalidType('config.productPageOptions.descriptionFormat', 'string', config.productPageOptions?.descriptionFormat, true);
+        is.invalidType('config.productPageOptions.overwriteFields', 'boolean', config.productPageOptions?.overwriteFields, true);
+        is.invalidType('config.productPageOptions.autoDeleteFields', 'boolean', config.productPageOptions?.autoDeleteFields, true);
+        is.invalidType('config.productPageOptions.overwriteSpecials', 'boolean', config.productPageOptions?.overwriteSpecials, true);
+        is.invalidType('config.productPageOptions.overwriteDiscounts', 'boolean', config.productPageOptions?.overwriteDiscounts, true);
         is.invalidType('config.placeholderImage', 'string', config.placeholderImage, true);
         is.invalidType('version', 'string', version);
 
-        if (!Object.keys(v_config).includes(version)) {
-            throw new Error(`OpenCart version ${version} is not supported`);
-        }
-
-        this.version = version;
+        this.version = null; // Profile name of version-config.json
+        this.autoDetectVersion = version === 'auto';
         this.config = {
+            fileManagerOptions: {
+                actionSuccessMsg: 'Success',
+                uploadConflict: 'skip',
+                uploadTransport: 'ui',
+                uploadRules: {}
+            },
             productPageOptions: {
                 overwriteDescription: false,
                 autoDeleteDescription: false,
                 overwriteMainImage: false,
                 autoDeleteMainImage: false,
                 overwriteSecondaryImages: false,
-                autoDeleteSecondaryImages: false
+                autoDeleteSecondaryImages: false,
+                descriptionFormat: 'text',
+                overwriteFields: false,
+                autoDeleteFields: false,
+                overwriteSpecials: false,
+                overwriteDiscounts: false
             },
             placeholderImage: '',
         };
 
         this.browser = null; // Current puppeteer Browser
+        this.ownsBrowser = false; // Was the browser launched by this instance?
         this.page = null; // Current puppeteer Page
         this.token = ''; // Admin session token
 
-        this.fileManagerFrame = null; // Puppeteer Frame of a file manager
-        this.blockRepetitiveXhr = false; // Block allowed POST XHR by a file manager if it was submitted the last time.
-        this.lastXhrPostData = null; // Data of the last POST XHR by a file manager
-        this.allowedXhrPostData = null; // Among POST XHR by a file manager, only those with such data are allowed
-        this.curDirFiles = null; // List of current directory file names
-        this.curDirPath = '';
-        
-        _.merge(this.config, config, v_config[version]);
+
+        _.merge(this.config, config);
+
+        if (!DESCRIPTION_FORMATS.includes(this.config.productPageOptions.descriptionFormat)) {
+            throw new Error(`Description format ${this.config.productPageOptions.descriptionFormat} is not supported. ` +
+                `Use one of: ${DESCRIPTION_FORMATS.join(', ')}`);
+        }
 
         // Validate base URL
         this.config.baseUrl = getBaseUrl(this.config.baseUrl);
 
-        // Compose URLs to important pages. After logging in as admin some of these URLs will be tokenized.
         this.config.urls = {};
         this.config.urls.admin = new URL('admin/', this.config.baseUrl).toString();
+
+        if (this.autoDetectVersion) {
+            this.applyConfigShortcuts();
+        } else {
+            this.useVersion(version);
+        }
+
+        return this;
+    }
+
+    /**
+     * Apply a profile of version-config.json.
+     * 
+     * Called by the constructor, or on login when the version is detected automatically.
+     * 
+     * @param {string} version - profile name or a full version string (see "resolveVersion").
+     * @returns {void}
+     */
+    useVersion(version) {
+        is.invalidType('version', 'string', version);
+
+        const profileName = resolveVersion(version);
+
+        if (!profileName) {
+            throw new Error(`OpenCart version ${version} is not supported`);
+        }
+
+        this.version = profileName;
+
+        // Profile keys are replaced as a whole, so nothing is left from a previously applied profile
+        Object.assign(this.config, _.cloneDeep(v_config[profileName]));
+
+        // Compose URLs to important pages. After logging in as admin some of these URLs will be tokenized.
+        this.config.urls = { admin: this.config.urls.admin };
         for (const [pageName, pagePath] of Object.entries(this.config.paths)) {
             this.config.urls[pageName] = new URL(pagePath, this.config.urls.admin).toString();
         }
 
-        // Shortcuts for object values of config
+        this.applyConfigShortcuts();
+
+        if (this.token) this.tokenize();
+    }
+
+    /**
+     * Shortcuts for object values of config.
+     * 
+     * @private
+     * @returns {void}
+     */
+    applyConfigShortcuts() {
         for (const [key, value] of Object.entries(this.config)) {
             if (is.object(value) && key !== 'config') this[key] = value;
         }
-
-        instance = this;
-
-        return this;
     }
 
     /**
      * Launch a browser and open a new page.
-     * Only one instance of the browser can be launched.
+     * Only one instance of the browser can be launched by an instance of Cartmin.
      * 
      * @param {Object} [options] - puppeteer LaunchOptions.
      * @returns {Promise<void>}
@@ -123,27 +224,63 @@ class Cartmin {
     async launch(options = {}) {
         if (this.browser) return;
         
-        this.browser = await puppeteer.launch(Object.assign(PUPPETEER_OPTIONS, options));
+        this.browser = await puppeteer.launch(Object.assign({}, PUPPETEER_OPTIONS, options));
+        this.ownsBrowser = true;
+
         const pages = await this.browser.pages();
-        this.page = pages[0];
+        await this.setupPage(pages[0]);
+    }
+
+    /**
+     * Open a new page in a browser launched elsewhere (e.g. by another instance or CartminPool).
+     * 
+     * "close" closes only this page then.
+     * 
+     * @param {Browser} browser - puppeteer Browser.
+     * @returns {Promise<void>}
+     */
+    async attach(browser) {
+        is.invalidType('browser', 'object', browser);
+
+        if (this.browser) return;
+
+        this.browser = browser;
+        this.ownsBrowser = false;
+
+        await this.setupPage(await browser.newPage());
+    }
+
+    /**
+     * Make a page the current one and intercept its requests.
+     * 
+     * @private
+     * @param {Page} page - puppeteer Page.
+     * @returns {Promise<void>}
+     */
+    async setupPage(page) {
+        const state = { ...PAGE_STATE };
+        pageStates.set(page, state);
+
+        this.page = page;
         this.page.setBypassCSP(true);
 
         await this.page.setRequestInterception(true);
 
         this.page.on('request', req => {
             if (req.resourceType() === 'xhr' &&
+                this.paths?.fileManagerFiles &&
                 req.url().includes(this.paths.fileManagerFiles) &&
                 req.method() === 'POST')
             {
-                if (req.postData() !== this.allowedXhrPostData) {
+                if (req.postData() !== state.allowedXhrPostData) {
                     req.respond({});
                     return;
                 }
 
-                const lastPostData = this.lastXhrPostData;
-                this.lastXhrPostData = this.allowedXhrPostData;
+                const lastPostData = state.lastXhrPostData;
+                state.lastXhrPostData = state.allowedXhrPostData;
 
-                if (this.blockRepetitiveXhr && req.postData() === lastPostData) {
+                if (state.blockRepetitiveXhr && req.postData() === lastPostData) {
                     req.respond({});
                     return;
                 }
@@ -157,6 +294,28 @@ class Cartmin {
         });
     }
 
+    /**
+     * Run a function with a new page of the browser as the current one, then close it.
+     * 
+     * Used to visit other admin pages without leaving unsaved changes of the current page.
+     * 
+     * @private
+     * @param {Function} fn - async function without arguments.
+     * @returns {Promise<any>} result of the function.
+     */
+    async withSidePage(fn) {
+        const page = this.page;
+        const sidePage = await this.browser.newPage();
+
+        try {
+            await this.setupPage(sidePage);
+            return await fn();
+        } finally {
+            this.page = page;
+            await sidePage.close();
+        }
+    }
+
     /**
      * Launch a browser and login to an admin page.
      * 
@@ -170,6 +329,31 @@ class Cartmin {
         await this.login();
     }
 
+    /**
+     * Get the file manager state of the current page.
+     * 
+     * Properties of PAGE_STATE are accessible as properties of an instance as well.
+     * 
+     * @private
+     * @returns {Object}
+     */
+    getPageState() {
+        if (!this.page) {
+            throw new Error('Browser is not launched');
+        }
+
+        return pageStates.get(this.page);
+    }
+
+    /**
+     * Forget about an open file manager and the directory it was in, e.g. after a failed interaction.
+     * 
+     * @returns {void}
+     */
+    resetPageState() {
+        Object.assign(this.getPageState(), PAGE_STATE);
+    }
+
     /**
      * @private
      * @param {string | null} allowed
@@ -193,25 +377,24 @@ class Cartmin {
     }
 
     /**
-     * Close a browser.
+     * Close a browser, or only the page if the browser is shared (see "attach").
      * 
      * @returns {Promise<void>}
      */
     async close() {
         if (!this.browser) return;
 
-        await this.browser.close();
+        if (this.ownsBrowser) {
+            await this.browser.close();
+        } else {
+            await this.page.close();
+        }
 
         this.browser = null;
+        this.ownsBrowser = false;
         this.page = null;
         this.token = '';
-        this.tokenize();
-
-        this.fileManagerFrame = null;
-        this.blockRepetitiveXhr = false;
-        this.lastXhrPostData = null;
-        this.allowedXhrPostData = null;
-        this.curDirFiles = null;
+        if (this.version) this.tokenize();
     }
 
     /**
@@ -227,19 +410,20 @@ class Cartmin {
             throw new Error(`Interaction with a ${pageName} page is not supported by the current version of Cartmin`);
         }
 
-        return this.page.url().startsWith(this.urls[pageName]);
+        // A route is URL-encoded by some redirects and links, e.g. "route=catalog%2Fproduct"
+        return this.page.url().replace(/%2F/gi, '/').startsWith(this.urls[pageName]);
     }
 
     /**
      * Throw an Error if the current page is not a specific one.
      * 
      * @private
-     * @param {string} pageName
+     * @param {...string} pageNames - the current page must be any of these.
      * @returns {void}
      */
-    isInvalidPage(pageName) {
-        if (!this.isPage(pageName)) {
-            throw new Error(`Current page is not a ${pageName} page`);
+    isInvalidPage(...pageNames) {
+        if (!pageNames.some(pageName => this.isPage(pageName))) {
+            throw new Error(`Current page is not a ${pageNames.join(' or ')} page`);
         }
     }
 
@@ -254,7 +438,7 @@ class Cartmin {
     async isProductPageTab(tabName) {
         is.invalidType('tabName', 'string', tabName);
 
-        this.isInvalidPage('product');
+        this.isInvalidPage('product', 'productInsert');
         
         const tabSelector = this.productPageSelectors.tabs[tabName];
 
@@ -262,7 +446,30 @@ class Cartmin {
             throw new Error(`Interaction with a ${tabName} tab is not supported by the current version of Cartmin`);
         }
 
-        return await this.page.$eval(tabSelector, el => el.className.includes('selected')); //! wait
+        return await this.page.$eval(tabSelector, (el, activeTab) => el.matches(activeTab), //! wait
+            this.productPageSelectors.activeTab);
+    }
+
+    /**
+     * Call a version-specific hook (see strategies.js) on behalf of this instance.
+     * 
+     * @private
+     * @param {string} hookName
+     * @param {...any} args
+     * @returns {any}
+     */
+    callHook(hookName, ...args) {
+        if (!this.version) {
+            throw new Error('OpenCart version is not detected yet. Login first or pass the version to the constructor');
+        }
+
+        const hook = getHook(this.version, hookName);
+
+        if (!hook) {
+            throw new Error(`${hookName} is not supported for OpenCart ${this.version} by the current version of Cartmin`);
+        }
+
+        return hook.apply(this, args);
     }
 
     /**
@@ -272,20 +479,75 @@ class Cartmin {
      * @returns {void}
      */
     tokenize() {
-        this.urls.dashboard = tokenizeUrl(this.urls.dashboard, this.token);
-        this.urls.catalog = tokenizeUrl(this.urls.catalog, this.token);
+        const { tokenParam } = this.config;
+
+        for (const pageName of TOKENIZED_PAGES) {
+            this.urls[pageName] = tokenizeUrl(this.urls[pageName], this.token, tokenParam);
+        }
+    }
+
+    /**
+     * Collect signals of the OpenCart version from the current admin page.
+     * 
+     * @private
+     * @returns {Promise<{ footerVersion: string | null, markups: Array<string>, tokenParam: string | null }>}
+     */
+    async getVersionSignals() {
+        const markupSelectors = _.mapValues(v_config, profile => profile.markupSelector);
+
+        const { footerVersion, markups } = await this.page.evaluate(markupSelectors => {
+            const footer = document.querySelector('#footer, footer');
+            const match = footer?.textContent.match(/Version\s*(\d+(?:\.\d+)+)/i);
+
+            return {
+                footerVersion: match ? match[1] : null,
+                markups: Object.keys(markupSelectors).filter(name => document.querySelector(markupSelectors[name]))
+            };
+        }, markupSelectors);
+
+        return { footerVersion, markups, tokenParam: getTokenParam(this.page.url()) };
+    }
+
+    /**
+     * Detect the OpenCart version from the current admin page and apply the matching profile of version-config.json.
+     * 
+     * A login page does not always show a version, so the first of several fitting profiles is applied there.
+     * After login the detection is strict.
+     * 
+     * @param {boolean} [strict=true] - throw an Error if several profiles fit the page.
+     * @returns {Promise<string>} profile name.
+     */
+    async detectVersion(strict = true) {
+        is.invalidType('strict', 'boolean', strict);
+
+        const signals = await this.getVersionSignals();
+        const versions = matchVersions(signals);
+
+        if (!versions.length || (strict && versions.length > 1)) {
+            throw new Error(`${versions.length ? 'Several' : 'No'} OpenCart version profiles fit ${this.page.url()} ` +
+                `(footer version: ${signals.footerVersion}, markup: ${signals.markups.join(', ') || 'unknown'}, ` +
+                `token parameter: ${signals.tokenParam}). ` +
+                `Supported versions: ${Object.keys(v_config).join(', ')}`);
+        }
+
+        this.useVersion(versions[0]);
+
+        return this.version;
     }
 
     /**
      * Login as admin.
      * 
      * Current page must be an admin one.
+     * If the version is detected automatically, it is done here.
      * 
      * @returns {Promise<void>}
      */
     async login() {
         this.isInvalidPage('admin');
 
+        if (this.autoDetectVersion) await this.detectVersion(false);
+
         await this.page.evaluate((selectors, credentials) => {
             const username = document.querySelector(selectors.username);
             const password = document.querySelector(selectors.password);
@@ -302,9 +564,41 @@ class Cartmin {
             throw new Error(`Cannot navigate to an admin page`);
         }
 
-        this.token = extractToken(response.url());
+        if (this.autoDetectVersion) await this.detectVersion();
+
+        this.token = extractToken(response.url(), this.config.tokenParam);
         this.tokenize();
     }
+
+    /**
+     * Use an admin session of another instance logged in the same browser.
+     * 
+     * Instances of one browser share cookies, and OpenCart invalidates a previous token on every login,
+     * so the others have to reuse a token instead of logging in again.
+     * 
+     * @private
+     * @param {Cartmin} cartmin - logged-in instance.
+     * @returns {void}
+     */
+    useSessionOf(cartmin) {
+        if (!cartmin.token) {
+            throw new Error('Session cannot be shared before login');
+        }
+
+        this.token = cartmin.token;
+        this.useVersion(cartmin.version);
+    }
+}
+
+for (const key of Object.keys(PAGE_STATE)) {
+    Object.defineProperty(Cartmin.prototype, key, {
+        get() {
+            return this.getPageState()[key];
+        },
+        set(value) {
+            this.getPageState()[key] = value;
+        }
+    });
 }
 
 module.exports = Cartmin;
\ No newline at end of file
@@ -6,7 +6,20 @@
 'use strict';
 
 const fs = require('fs');
+const os = require('os');
+const { basename, join: joinPath, parse: parsePath } = require('path');
 const is = require('./is.js');
+const { readAllPages } = require('./list.js');
+const { splitFileManagerPath, getFreeFileName } = require('./file-path.js');
+const { tokenizeUrl } = require('./url.js');
+const { sniffImage, getImageExtension, slugifyFileName, getUploadRuleError } = require('./image-file.js');
+const { defineHooks } = require('./strategies.js');
+
+// Policies of "uploadFilesToFileManager" when a file already exists in the current directory
+const UPLOAD_CONFLICT_POLICIES = [ 'skip', 'overwrite', 'rename-with-suffix', 'error' ];
+
+// Ways of "uploadFilesToFileManager" to send files: the upload button or a direct request to the upload endpoint
+const UPLOAD_TRANSPORTS = [ 'ui', 'http' ];
 
 /**
  * Open a file manager.
@@ -22,11 +35,64 @@ async function openFileManager(tabName = 'data', index = 0) {
 
     if (this.fileManagerFrame) return;
 
-    const uploadBtn = await this.getProductPageUploadBtn(tabName, index);
+    await this.openFileManagerByBtn(await this.getProductPageUploadBtn(tabName, index));
+}
+
+/**
+ * Open a file manager by clicking an upload button of any page, e.g. a category form.
+ * 
+ * @private
+ * @param {ElementHandle} uploadBtn - puppeteer ElementHandle of the button.
+ * @returns {Promise<void>}
+ */
+async function openFileManagerByBtn(uploadBtn) {
+    if (this.fileManagerFrame) return;
+
     await uploadBtn.click();
 
+    this.fileManagerFrame = await this.callHook('attachFileManager');
+}
+
+/**
+ * Hook for OpenCart 1.5, where a file manager is an iframe inside a jQuery UI dialog.
+ * 
+ * @private
+ * @returns {Promise<Frame>} puppeteer Frame of the file manager.
+ */
+async function attachDialogFileManager() {
     const frame = await this.page.waitForSelector(this.fileManagerSelectors.frame);
-    this.fileManagerFrame = await frame.contentFrame();
+    return await frame.contentFrame();
+}
+
+/**
+ * Hook for OpenCart 2.x and later, where a file manager is a Bootstrap modal loaded by AJAX into the page itself.
+ * 
+ * @private
+ * @returns {Promise<Frame>} puppeteer Frame of the file manager.
+ */
+async function attachModalFileManager() {
+    await this.page.waitForSelector(this.fileManagerSelectors.refreshBtn, { visible: true });
+
+    this.curDirPath = await this.page.$eval(this.fileManagerSelectors.refreshBtn,
+        el => new URL(el.href).searchParams.get('directory') || '');
+    this.curDirFiles = await this.getModalDirFiles();
+
+    return this.page.mainFrame();
+}
+
+/**
+ * Get names of files listed by a modal file manager.
+ * 
+ * @private
+ * @returns {Promise<Array<string>>}
+ */
+async function getModalDirFiles() {
+    const { list, pathInput } = this.fileManagerSelectors;
+
+    return await this.page.$$eval(list, (els, pathInput) => els
+        .map(el => el.parentElement.querySelector(pathInput)?.value.split('/').pop())
+        .filter(Boolean),
+    pathInput);
 }
 
 /**
@@ -174,6 +240,17 @@ async function navInFileManager(path) {
     }
     if (this.curDirPath === path) return;
 
+    await this.callHook('navInFileManager', path);
+}
+
+/**
+ * Hook for OpenCart 1.5: navigate by clicking directories of the tree in the left column.
+ * 
+ * @private
+ * @param {string} path
+ * @returns {Promise<void>}
+ */
+async function navInDirTree(path) {
     this.allowXhr(null);
     
     await this.destroyNav(path);
@@ -202,6 +279,39 @@ async function navInFileManager(path) {
     this.curDirPath = lastDirPath;
 }
 
+/**
+ * Hook for OpenCart 2.x and later: reload a modal with the directory, the same way its directory links do.
+ * 
+ * @private
+ * @param {string} path
+ * @param {number} [pageNumber=1] - page of the modal, since it shows a limited number of items.
+ * @returns {Promise<void>}
+ */
+async function navInModal(path, pageNumber = 1) {
+    const { frame, refreshBtn } = this.fileManagerSelectors;
+
+    const dirUrl = new URL(await this.page.$eval(refreshBtn, el => el.href));
+    if (path) {
+        dirUrl.searchParams.set('directory', path);
+    } else {
+        dirUrl.searchParams.delete('directory');
+    }
+    dirUrl.searchParams.set('page', String(pageNumber));
+
+    await this.page.evaluate((selector, url) => new Promise((resolve, reject) => {
+        $(selector).load(url, (response, status, xhr) => {
+            if (status === 'error') {
+                reject(new Error(`Cannot load ${url}: ${xhr.status} ${xhr.statusText}`));
+            } else {
+                resolve();
+            }
+        });
+    }), frame, dirUrl.toString());
+
+    this.curDirPath = path;
+    this.curDirFiles = await this.getModalDirFiles();
+}
+
 /**
  * Close a sequence of currently opened directories.
  * 
@@ -228,19 +338,27 @@ async function destroyNav(path = '') {
 }
 
 /**
- * Promise to close a browser dialog that pops up on a file upload.
+ * Promise to close a browser dialog that pops up on a file upload or another file manager action.
+ * 
+ * Confirmation dialogs before an action are accepted, and the promise is settled by the dialog with the result.
  * 
  * @private
+ * @param {number} [timeout=30000]
+ * @param {string} [successMsg] - message (or its part) of a successful result. "fileManagerOptions.successMsg" is default.
  * @returns {Promise<boolean>} indicator of success
  */
-function closeBrowserDialogPromise(timeout = 30000) {
+function closeBrowserDialogPromise(timeout = 30000, successMsg = this.fileManagerOptions.successMsg) {
     return new Promise((resolve, reject) => {
         let timerId;
 
         const acceptDialog = async (dialog) => {
-            clearTimeout(timerId);
             await dialog.accept();
-            resolve(dialog.message().includes(this.fileManagerOptions.successMsg));
+
+            if (dialog.type() === 'confirm') return;
+
+            clearTimeout(timerId);
+            this.page.off('dialog', acceptDialog);
+            resolve(dialog.message().includes(successMsg));
         };
 
         timerId = setTimeout(() => {
@@ -248,28 +366,309 @@ function closeBrowserDialogPromise(timeout = 30000) {
             reject(`Timeout ${timeout} ms is exceeded.`);
         }, timeout);
 
-        this.page.once('dialog', acceptDialog);
+        this.page.on('dialog', acceptDialog);
     });
 }
 
 /**
- * @param {Array<string>} paths
- * @returns {Promise<Array<string>>} paths of successfully uploaded files
+ * Puppeteer page function to resize an image and convert it to another format by a canvas.
+ * 
+ * @private
+ * @param {string} base64 - contents of the image.
+ * @param {string} mime - MIME type of the image.
+ * @param {{ mime: string, maxWidth: number | null, maxHeight: number | null, quality: number }} options
+ * @returns {Promise<string>} base64 contents of the new image.
  */
-async function uploadFilesToFileManager(paths) {
+async function transformImageInDOM(base64, mime, options) {
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    const bitmap = await createImageBitmap(new Blob([ bytes ], { type: mime }));
+    const scale = Math.min(1, (options.maxWidth ?? Infinity) / bitmap.width, (options.maxHeight ?? Infinity) / bitmap.height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const context = canvas.getContext('2d');
+
+    // JPEG has no transparency, so transparent pixels get white instead of black
+    if (options.mime === 'image/jpeg') {
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL(options.mime, options.quality).split(',')[1];
+}
+
+/**
+ * Validate options of normalization before an upload.
+ * 
+ * @private
+ * @param {Object} [normalize] - see "uploadFilesToFileManager".
+ * @returns {void}
+ */
+function validateNormalizeOptions(normalize) {
+    is.invalidType('options.normalize', 'object', normalize, true);
+    is.invalidType('options.normalize.maxWidth', 'number', normalize?.maxWidth, true);
+    is.invalidType('options.normalize.maxHeight', 'number', normalize?.maxHeight, true);
+    is.invalidType('options.normalize.format', 'string', normalize?.format, true);
+    is.invalidType('options.normalize.quality', 'number', normalize?.quality, true);
+    is.invalidType('options.normalize.slugify', 'boolean', normalize?.slugify, true);
+
+    if (is.defined(normalize?.format) && ![ 'jpeg', 'webp' ].includes(normalize.format)) {
+        throw new Error(`Image format ${normalize.format} is not supported. Use one of: jpeg, webp`);
+    }
+}
+
+/**
+ * Normalize a local file for an upload and check it against upload rules of a file manager.
+ * 
+ * Normalized contents are kept in memory, the original file is not changed.
+ * 
+ * @private
+ * @param {string} path - local file path.
+ * @param {Object} [normalize] - see "uploadFilesToFileManager".
+ * @returns {Promise<{
+ *  path: string,
+ *  name: string | null,
+ *  data: Buffer | null,
+ *  mime: string | null,
+ *  width: number | null,
+ *  height: number | null,
+ *  size: number | null,
+ *  error: string | null
+ * }>} data is present only if the contents are changed, size is null if the file cannot be read or normalized.
+ */
+async function prepareUploadFile(path, normalize = {}) {
+    const file = { path, name: null, data: null, mime: null, width: null, height: null, size: null, error: null };
+
+    if (!is.string(path) || !fs.existsSync(path) || !fs.statSync(path).isFile()) {
+        return { ...file, error: 'File is not found' };
+    }
+
+    let data = fs.readFileSync(path);
+    let image = sniffImage(data);
+    let name = normalize.slugify ? slugifyFileName(basename(path)) : basename(path);
+
+    if (image) {
+        const mime = normalize.format ? `image/${normalize.format}` : image.mime;
+        const scale = Math.min(1,
+            (normalize.maxWidth ?? Infinity) / image.width,
+            (normalize.maxHeight ?? Infinity) / image.height);
+
+        if (mime !== image.mime || scale < 1) {
+            let base64;
+
+            try {
+                base64 = await this.page.evaluate(transformImageInDOM, data.toString('base64'), image.mime, {
+                    mime,
+                    maxWidth: normalize.maxWidth ?? null,
+                    maxHeight: normalize.maxHeight ?? null,
+                    quality: normalize.quality ?? 0.9
+                });
+            } catch (e) {
+                return { ...file, name, error: `Image cannot be normalized: ${e.message}` };
+            }
+
+            data = Buffer.from(base64, 'base64');
+            image = sniffImage(data);
+            name = `${parsePath(name).name}.${getImageExtension(image?.mime) ?? parsePath(name).ext.substring(1)}`;
+            file.data = data;
+        }
+    }
+
+    const rules = { ...this.fileManagerRules, ...this.fileManagerOptions.uploadRules };
+
+    return {
+        ...file,
+        name,
+        mime: image?.mime ?? null,
+        width: image?.width ?? null,
+        height: image?.height ?? null,
+        size: data.length,
+        error: getUploadRuleError(name, data.length, image, rules)
+    };
+}
+
+/**
+ * Check local files against upload rules of a file manager (and of fileManagerOptions.uploadRules) without uploading them.
+ * 
+ * Files are normalized first the same way as by "uploadFilesToFileManager".
+ * 
+ * @param {Array<string>} paths - local file paths.
+ * @param {Object} [options]
+ * @param {Object} [options.normalize] - see "uploadFilesToFileManager".
+ * @returns {Promise<Array<{
+ *  path: string,
+ *  name: string | null,
+ *  mime: string | null,
+ *  width: number | null,
+ *  height: number | null,
+ *  size: number | null,
+ *  error: string | null
+ * }>>} for each path its name after normalization, the recognized image and the first broken rule (null if valid).
+ */
+async function validateFilesForFileManager(paths, options = {}) {
+    is.invalidType('paths', 'array', paths);
+    is.invalidType('options', 'object', options);
+    validateNormalizeOptions(options.normalize);
+
+    const reports = [];
+
+    for (const path of paths) {
+        const { data, ...report } = await this.prepareUploadFile(path, options.normalize);
+        reports.push(report);
+    }
+
+    return reports;
+}
+
+/**
+ * Upload files into the current directory of a file manager.
+ * 
+ * Each file is checked against upload rules first (see "validateFilesForFileManager"), so a file that the file manager
+ * would reject is reported as invalid and is not uploaded. With options.normalize files can be resized, converted
+ * and renamed before the check. Local files are never changed, normalized copies are uploaded instead.
+ * 
+ * Then the file name is checked against files of the directory. If such a file already exists, then
+ * the conflict policy decides: "skip" keeps the existing file, "overwrite" deletes it first, "rename-with-suffix"
+ * uploads the file as name-1.format (name-2.format...), "error" throws an Error before any upload.
+ * 
+ * By default each file is uploaded through the upload button of the file manager. The "http" transport posts files
+ * straight to the upload endpoint with the session of the page, which is much faster. If the endpoint does not answer
+ * with JSON, then the file is uploaded through the button.
+ * 
+ * @param {Array<string>} paths - local file paths.
+ * @param {Object} [options]
+ * @param {string} [options.onConflict] - conflict policy. fileManagerOptions.uploadConflict by default.
+ * @param {string} [options.transport] - "ui" or "http". fileManagerOptions.uploadTransport by default.
+ * @param {Object} [options.normalize]
+ * @param {number} [options.normalize.maxWidth] - larger images are scaled down proportionally.
+ * @param {number} [options.normalize.maxHeight] - higher images are scaled down proportionally.
+ * @param {string} [options.normalize.format] - "jpeg" or "webp" to convert images of other formats.
+ * @param {number} [options.normalize.quality=0.9] - quality of resized and converted images, from 0 to 1.
+ * @param {boolean} [options.normalize.slugify=false] - set this to true to make names safe, e.g. "Red Shoes.JPG" to "red-shoes.jpg".
+ * @returns {Promise<Array<{ path: string, name: string | null, status: string, error: string | null }>>} for each path
+ * its file name in the file manager (null if the file is not uploaded or the file manager has saved it under
+ * an unknown name), a status: "uploaded", "overwritten", "renamed", "skipped", "invalid" or "failed",
+ * and the reason of a failure.
+ */
+async function uploadFilesToFileManager(paths, options = {}) {
     is.invalidType('paths', 'array', paths);
+    is.invalidType('options', 'object', options);
+    is.invalidType('options.onConflict', 'string', options.onConflict, true);
+    is.invalidType('options.transport', 'string', options.transport, true);
+    validateNormalizeOptions(options.normalize);
 
+    const onConflict = options.onConflict ?? this.fileManagerOptions.uploadConflict;
+    const transport = options.transport ?? this.fileManagerOptions.uploadTransport;
+
+    if (!UPLOAD_CONFLICT_POLICIES.includes(onConflict)) {
+        throw new Error(`Upload conflict policy ${onConflict} is not supported. Use one of: ${UPLOAD_CONFLICT_POLICIES.join(', ')}`);
+    }
+    if (!UPLOAD_TRANSPORTS.includes(transport)) {
+        throw new Error(`Upload transport ${transport} is not supported. Use one of: ${UPLOAD_TRANSPORTS.join(', ')}`);
+    }
     if (!this.fileManagerFrame) {
         throw new Error('file manager is closed');
     }
-    
-    const uploadBtn = await this.fileManagerFrame.waitForSelector(this.fileManagerSelectors.uploadBtn);
 
-    const uploaded = [];
-    
-    for (const path of paths) {
-        if (!is.string(path) || !fs.existsSync(path)) continue;
-        
+    if (!is.array(this.curDirFiles)) await this.callHook('refreshFileManagerDir');
+
+    // A modal shows only a page of the directory, so its files are read from all pages
+    const { files: dirItems } = await this.callHook('readFileManagerDir', this.curDirPath ?? '');
+    const dirFiles = dirItems.map(item => item.name);
+
+    // Names are known only after normalization, so with the "error" policy all files are prepared before any upload.
+    // Otherwise files are prepared one by one, so only one of them is kept in memory.
+    const preparedFiles = [];
+
+    if (onConflict === 'error') {
+        for (const path of paths) {
+            preparedFiles.push(await this.prepareUploadFile(path, options.normalize));
+        }
+
+        const existing = preparedFiles.filter(file => !file.error && dirFiles.includes(file.name));
+
+        if (existing.length) {
+            throw new Error(`Files already exist in the file manager: ${existing.map(file => file.name).join(', ')}`);
+        }
+    }
+
+    const results = [];
+
+    for (const [i, path] of paths.entries()) {
+        const file = preparedFiles[i] ?? await this.prepareUploadFile(path, options.normalize);
+        preparedFiles[i] = null;
+
+        if (file.error) {
+            results.push({ path, name: null, status: file.size === null ? 'failed' : 'invalid', error: file.error });
+            continue;
+        }
+
+        let status = 'uploaded';
+
+        if (dirFiles.includes(file.name)) {
+            if (onConflict === 'skip') {
+                results.push({ path, name: file.name, status: 'skipped', error: null });
+                continue;
+            }
+
+            if (onConflict === 'overwrite') {
+                if (!await this.deleteInFileManager(this.curDirPath ? `${this.curDirPath}/${file.name}` : file.name)) {
+                    throw new Error(`File ${file.name} cannot be overwritten in the file manager`);
+                }
+                dirFiles.splice(dirFiles.indexOf(file.name), 1);
+                status = 'overwritten';
+            } else {
+                file.name = getFreeFileName(file.name, dirFiles);
+                status = 'renamed';
+            }
+        }
+
+        let upload = transport === 'http' ? await this.postFileToFileManager(file) : null;
+
+        if (!upload) upload = await this.uploadFileToFileManager(file, dirFiles);
+
+        if (upload.error) {
+            results.push({ path, name: null, status: 'failed', error: upload.error });
+            continue;
+        }
+
+        if (upload.name) dirFiles.push(upload.name);
+        results.push({ path, name: upload.name, status, error: null });
+    }
+
+    // Posted files are not shown by the file manager until its directory is loaded again
+    if (transport === 'http' && results.some(result => ['uploaded', 'overwritten', 'renamed'].includes(result.status))) {
+        await this.callHook('redrawFileManagerDir');
+    }
+
+    return results;
+}
+
+/**
+ * Upload one file by the upload button, then refresh files of the current directory.
+ * 
+ * A renamed or normalized file is uploaded as a temporary copy, since a browser sends the local name of a file.
+ * 
+ * @private
+ * @param {{ path: string, name: string, data: Buffer | null }} file - see "prepareUploadFile".
+ * @param {Array<string>} dirFiles - names of files in the current directory before the upload.
+ * @returns {Promise<{ name: string | null, error: string | null }>} name of the file in the file manager as the server
+ * has saved it (null if it cannot be told, e.g. other files are uploaded at the same time),
+ * or an error if the upload is failed.
+ */
+async function uploadFileToFileManager(file, dirFiles) {
+    const tmpDir = file.data || file.name !== basename(file.path) ? fs.mkdtempSync(joinPath(os.tmpdir(), 'cartmin-')) : null;
+    const uploadPath = tmpDir ? joinPath(tmpDir, file.name) : file.path;
+
+    try {
+        if (tmpDir) fs.writeFileSync(uploadPath, file.data ?? fs.readFileSync(file.path));
+
+        // Modals replace their buttons on every reload, so the button is found for each upload
+        const uploadBtn = await this.fileManagerFrame.waitForSelector(this.fileManagerSelectors.uploadBtn);
+
         const [fileChooser] = await Promise.all([
             this.page.waitForFileChooser(),
             uploadBtn.click()
@@ -277,13 +676,669 @@ async function uploadFilesToFileManager(paths) {
 
         const [isUploaded] = await Promise.all([
             this.closeBrowserDialogPromise(),
-            fileChooser.accept([path])
+            fileChooser.accept([uploadPath])
         ]);
 
-        if (isUploaded) uploaded.push(path);
+        if (!isUploaded) return { name: null, error: 'The file manager has rejected the file' };
+    } finally {
+        if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    await this.callHook('refreshFileManagerDir');
+
+    // The file manager keeps valid names as they are. A cleaned up name can be told only if the refreshed
+    // directory shows it, since a modal shows only a page of the directory.
+    const newNames = this.curDirFiles.filter(name => !dirFiles.includes(name));
+
+    if (!newNames.length || newNames.includes(file.name)) return { name: file.name, error: null };
+
+    return { name: newNames.length === 1 ? newNames[0] : null, error: null };
+}
+
+/**
+ * Puppeteer page function to post a file to an upload endpoint of a file manager, the same way its upload form does.
+ * 
+ * @private
+ * @param {string} url
+ * @param {Object<string, string>} fields - other fields of the form.
+ * @param {string} fileField - name of the file field.
+ * @param {string} name - name.format of the file.
+ * @param {string} base64 - contents of the file.
+ * @param {string} mime
+ * @returns {Promise<Object | null>} JSON response, or null if the response is not JSON.
+ */
+async function postFileToEndpointInDOM(url, fields, fileField, name, base64, mime) {
+    const form = new FormData();
+
+    for (const [key, value] of Object.entries(fields)) form.append(key, value);
+    form.append(fileField, new File([ Uint8Array.from(atob(base64), char => char.charCodeAt(0)) ], name, { type: mime }));
+
+    const response = await fetch(url, { method: 'POST', body: form });
+
+    try {
+        return JSON.parse(await response.text());
+    } catch (e) {
+        return null;
     }
+}
 
-    return uploaded;
+/**
+ * Post one file to the upload endpoint of a file manager into the current directory.
+ * 
+ * Files of the current directory get the name at once, since the file manager keeps valid names as they are.
+ * 
+ * @private
+ * @param {{ path: string, name: string, data: Buffer | null, mime: string }} file - see "prepareUploadFile".
+ * @returns {Promise<{ name: string | null, error: string | null } | null>} null if the endpoint has not answered with JSON.
+ */
+async function postFileToFileManager(file) {
+    const data = file.data ?? fs.readFileSync(file.path);
+    const response = await this.callHook('postFileToFileManager', file.name, data.toString('base64'), file.mime);
+
+    if (!response) return null;
+    if (!response.success) {
+        return { name: null, error: response.error || 'The file manager has rejected the file' };
+    }
+
+    this.curDirFiles = [ ...this.curDirFiles, file.name ];
+
+    return { name: file.name, error: null };
+}
+
+/**
+ * Run a file manager action on a file or a directory, then refresh files of the current directory.
+ * 
+ * The file manager navs to the directory of the item first.
+ * 
+ * @private
+ * @param {string} hookName - hook of the action, called with the directory path, the item name and args.
+ * @param {string} path - path of the item, e.g. "shoes/red.jpg".
+ * @param {...any} args
+ * @returns {Promise<boolean>} was the action successful?
+ */
+async function runFileManagerAction(hookName, path, ...args) {
+    is.invalidType('path', 'string', path);
+
+    if (!this.fileManagerFrame) {
+        throw new Error('file manager is closed');
+    }
+
+    const { dirPath, name } = splitFileManagerPath(path);
+
+    if (!name) {
+        throw new Error('The top directory of a file manager cannot be changed');
+    }
+
+    await this.navInFileManager(dirPath);
+
+    const isDone = await this.callHook(hookName, dirPath, name, ...args);
+    await this.callHook('refreshFileManagerDir');
+
+    return isDone;
+}
+
+/**
+ * Create a directory in a file manager.
+ * 
+ * @param {string} path - path of the new directory, e.g. "shoes/red". Its parent directory must exist.
+ * @returns {Promise<boolean>} was the directory created?
+ */
+async function createDirInFileManager(path) {
+    return await this.runFileManagerAction('createFileManagerDir', path);
+}
+
+/**
+ * Delete a file or a directory in a file manager.
+ * 
+ * After deleting a directory the file manager stays in its parent directory.
+ * 
+ * @param {string} path - e.g. "shoes/red.jpg".
+ * @returns {Promise<boolean>} was the item deleted?
+ */
+async function deleteInFileManager(path) {
+    return await this.runFileManagerAction('deleteFileManagerItem', path);
+}
+
+/**
+ * Rename a file or a directory in a file manager (OpenCart 1.5).
+ * 
+ * @param {string} path - e.g. "shoes/red.jpg".
+ * @param {string} newName - new name.format of a file or a new name of a directory.
+ * @returns {Promise<boolean>} was the item renamed?
+ */
+async function renameInFileManager(path, newName) {
+    is.invalidType('newName', 'string', newName);
+
+    return await this.runFileManagerAction('renameFileManagerItem', path, newName);
+}
+
+/**
+ * Move a file or a directory to another directory of a file manager (OpenCart 1.5).
+ * 
+ * @param {string} path - e.g. "shoes/red.jpg".
+ * @param {string} toDirPath - path of an existing directory. Set this to "" to move to the top dir.
+ * @returns {Promise<boolean>} was the item moved?
+ */
+async function moveInFileManager(path, toDirPath) {
+    is.invalidType('toDirPath', 'string', toDirPath);
+
+    return await this.runFileManagerAction('moveFileManagerItem', path, toDirPath);
+}
+
+/**
+ * Copy a file or a directory into the same directory under a new name (OpenCart 1.5).
+ * 
+ * @param {string} path - e.g. "shoes/red.jpg".
+ * @param {string} newName - name of the copy.
+ * @returns {Promise<boolean>} was the item copied?
+ */
+async function copyInFileManager(path, newName) {
+    is.invalidType('newName', 'string', newName);
+
+    return await this.runFileManagerAction('copyFileManagerItem', path, newName);
+}
+
+/**
+ * Read a directory tree of a file manager from the same endpoints as the file manager does, without opening it.
+ * 
+ * Current page must be an admin one.
+ * 
+ * @param {string} [path=''] - directory path, e.g. "shoes". The top directory by default.
+ * @param {Object} [options]
+ * @param {number} [options.depth=Infinity] - levels of directories to read, 1 reads only the given one.
+ * @returns {Promise<{
+ *  name: string,
+ *  path: string,
+ *  imagePath: string,
+ *  dirs: Array<Object> | null,
+ *  files: Array<{ name: string, path: string, imagePath: string, size: string | null, thumb: string | null }> | null
+ * }>} nested directories have the same structure, "dirs" and "files" are null below the depth. Paths are relative
+ * to the top directory of a file manager, image paths are relative to the image directory (as in product forms),
+ * the one of the top directory is empty.
+ * Sizes are reported only by OpenCart 1.5, e.g. "12.5KB".
+ */
+async function listFileManagerTree(path = '', options = {}) {
+    is.invalidType('path', 'string', path);
+    is.invalidType('options', 'object', options);
+    is.invalidType('options.depth', 'number', options.depth, true);
+
+    const depth = options.depth ?? Infinity;
+
+    if (depth < 1) {
+        throw new Error('options.depth must be at least 1');
+    }
+
+    const dirPath = path.replace(/^\/+|\/+$/g, '');
+    const { dirs } = dirPath ? await this.callHook('readFileManagerDir', splitFileManagerPath(dirPath).dirPath) : {};
+    const dir = dirs?.find(dir => dir.path === dirPath);
+
+    if (dirPath && !dir) {
+        throw new Error(`Directory ${dirPath} is not found in the file manager`);
+    }
+
+    return await this.readFileManagerTree(dir ?? { name: '', path: '', imagePath: '' }, depth);
+}
+
+/**
+ * Read the contents of a directory and of its subdirectories down to a depth.
+ * 
+ * @private
+ * @param {{ name: string, path: string, imagePath: string }} dir
+ * @param {number} depth
+ * @returns {Promise<Object>} see "listFileManagerTree".
+ */
+async function readFileManagerTree(dir, depth) {
+    if (depth < 1) return { ...dir, dirs: null, files: null };
+
+    const { dirs, files } = await this.callHook('readFileManagerDir', dir.path);
+    const tree = { ...dir, dirs: [], files };
+
+    for (const subdir of dirs) {
+        tree.dirs.push(await this.readFileManagerTree(subdir, depth - 1));
+    }
+
+    return tree;
+}
+
+/**
+ * Select a file or a directory of the current directory in a dialog file manager (OpenCart 1.5).
+ * 
+ * A file is selected in the right column. A directory is selected in the tree, which navs into it.
+ * 
+ * @private
+ * @param {string} dirPath - current directory.
+ * @param {string} name
+ * @returns {Promise<boolean>} is the item a directory?
+ */
+async function selectItemInDialog(dirPath, name) {
+    if (this.curDirFiles.includes(name)) {
+        const file = await this.getFileFromFileManager(name);
+
+        // A click on a selected file unselects it
+        for (let i = 0; i < 2 && !await file.evaluate(el => el.classList.contains('selected')); i++) {
+            await file.click();
+        }
+
+        return false;
+    }
+
+    await this.navInFileManager(dirPath ? `${dirPath}/${name}` : name);
+
+    await this.fileManagerFrame.$$eval(this.fileManagerSelectors.selectedFile, els => {
+        els.forEach(el => el.removeAttribute('class'));
+    });
+
+    return true;
+}
+
+/**
+ * Click a button of a dialog file manager (OpenCart 1.5), fill its jQuery UI dialog and submit it.
+ * 
+ * @private
+ * @param {string} btnSelector
+ * @param {Object<string, string>} values - values by selectors of the dialog fields.
+ * @returns {Promise<boolean>} was the action successful?
+ */
+async function submitDialogAction(btnSelector, values = {}) {
+    const { dialogSubmit } = this.fileManagerSelectors;
+
+    await this.fileManagerFrame.click(btnSelector);
+
+    for (const [selector, value] of Object.entries(values)) {
+        // Options of a select are loaded by AJAX
+        await this.fileManagerFrame.waitForFunction((selector, value) => {
+            const field = document.querySelector(selector);
+            return field && (field.tagName !== 'SELECT' || Array.from(field.options).some(option => option.value === value));
+        }, {}, selector, value);
+
+        await this.fileManagerFrame.$eval(selector, (el, value) => el.value = value, value);
+    }
+
+    const submitBtn = await this.fileManagerFrame.waitForSelector(dialogSubmit);
+    const [isDone] = await Promise.all([
+        this.closeBrowserDialogPromise(30000, this.fileManagerOptions.actionSuccessMsg),
+        submitBtn.click()
+    ]);
+
+    return isDone;
+}
+
+/**
+ * Run an action on a file or a directory of a dialog file manager (OpenCart 1.5).
+ * 
+ * After an action on a directory the tree is back in its parent directory.
+ * 
+ * @private
+ * @param {string} dirPath
+ * @param {string} name
+ * @param {string} btnSelector
+ * @param {Object<string, string>} [values] - see "submitDialogAction". Without values the action has no dialog.
+ * @returns {Promise<boolean>}
+ */
+async function runDialogItemAction(dirPath, name, btnSelector, values) {
+    const isDir = await this.selectItemInDialog(dirPath, name);
+
+    let isDone;
+
+    if (values) {
+        isDone = await this.submitDialogAction(btnSelector, values);
+    } else {
+        [isDone] = await Promise.all([
+            this.closeBrowserDialogPromise(30000, this.fileManagerOptions.actionSuccessMsg),
+            this.fileManagerFrame.click(btnSelector)
+        ]);
+    }
+
+    // The directory may not exist anymore, so its parent is selected
+    if (isDir) await this.selectDirInDialog(dirPath);
+
+    return isDone;
+}
+
+/**
+ * Select a directory in the tree of a dialog file manager (OpenCart 1.5) and make it the current one.
+ * 
+ * @private
+ * @param {string} path
+ * @returns {Promise<void>}
+ */
+async function selectDirInDialog(path) {
+    this.curDirPath = path;
+
+    // Files of an already selected directory may not be requested again, so the wait is short
+    [this.curDirFiles] = await Promise.all([
+        this.getDirFilesPromise(path, 5000).catch(() => this.curDirFiles),
+        this.clickDir(path, path ? 1 : 2)
+    ]);
+}
+
+/**
+ * Hook for OpenCart 1.5: a directory is created in the one selected in the tree.
+ * 
+ * @private
+ * @param {string} dirPath
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function createDirInDialog(dirPath, name) {
+    const { createBtn, selectedDir, dialogInput } = this.fileManagerSelectors;
+
+    const selected = await this.fileManagerFrame.$eval(selectedDir, el => el.getAttribute('directory')).catch(() => null);
+    if (selected !== dirPath) await this.selectDirInDialog(dirPath);
+
+    return await this.submitDialogAction(createBtn, { [dialogInput]: name });
+}
+
+/**
+ * Hook for OpenCart 1.5.
+ * 
+ * @private
+ * @param {string} dirPath
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function deleteInDialog(dirPath, name) {
+    return await this.runDialogItemAction(dirPath, name, this.fileManagerSelectors.deleteBtn);
+}
+
+/**
+ * Hook for OpenCart 1.5.
+ * 
+ * @private
+ * @param {string} dirPath
+ * @param {string} name
+ * @param {string} newName
+ * @returns {Promise<boolean>}
+ */
+async function renameInDialog(dirPath, name, newName) {
+    const { renameBtn, dialogInput } = this.fileManagerSelectors;
+    return await this.runDialogItemAction(dirPath, name, renameBtn, { [dialogInput]: newName });
+}
+
+/**
+ * Hook for OpenCart 1.5.
+ * 
+ * @private
+ * @param {string} dirPath
+ * @param {string} name
+ * @param {string} toDirPath
+ * @returns {Promise<boolean>}
+ */
+async function moveInDialog(dirPath, name, toDirPath) {
+    const { moveBtn, dialogSelect } = this.fileManagerSelectors;
+    return await this.runDialogItemAction(dirPath, name, moveBtn, { [dialogSelect]: toDirPath });
+}
+
+/**
+ * Hook for OpenCart 1.5.
+ * 
+ * @private
+ * @param {string} dirPath
+ * @param {string} name
+ * @param {string} newName
+ * @returns {Promise<boolean>}
+ */
+async function copyInDialog(dirPath, name, newName) {
+    const { copyBtn, dialogInput } = this.fileManagerSelectors;
+    return await this.runDialogItemAction(dirPath, name, copyBtn, { [dialogInput]: newName });
+}
+
+/**
+ * Hook for OpenCart 1.5: files of the current directory are requested from the file manager endpoint,
+ * since the right column is reloaded by the file manager itself.
+ * 
+ * @private
+ * @returns {Promise<void>}
+ */
+async function fetchDialogDirFiles() {
+    const { files } = await readDialogDir.call(this, this.curDirPath ?? '');
+
+    this.curDirFiles = files.map(file => file.name);
+}
+
+/**
+ * Hook for OpenCart 1.5: the tree reselects its current directory, as after an upload through the dialog,
+ * so the right column shows new files.
+ * 
+ * @private
+ * @returns {Promise<void>}
+ */
+async function redrawDialogDir() {
+    const path = this.curDirPath ?? '';
+
+    [this.curDirFiles] = await Promise.all([
+        this.getDirFilesPromise(path, 5000).catch(() => null),
+        this.fileManagerFrame.evaluate(() => {
+            const tree = $.tree.focused();
+            tree.select_branch(tree.selected);
+        })
+    ]);
+
+    if (!this.curDirFiles) await fetchDialogDirFiles.call(this);
+}
+
+/**
+ * Hook for OpenCart 1.5: a file is posted with the directory as a form field.
+ * 
+ * @private
+ * @param {string} name
+ * @param {string} base64
+ * @param {string} mime
+ * @returns {Promise<Object | null>} see "postFileToEndpointInDOM".
+ */
+async function postFileToDialog(name, base64, mime) {
+    const url = tokenizeUrl(this.urls.fileManagerUpload, this.token, this.config.tokenParam);
+
+    return await this.page.evaluate(postFileToEndpointInDOM, url, { directory: this.curDirPath ?? '' }, 'image',
+        name, base64, mime);
+}
+
+/**
+ * Puppeteer page function to post a directory path to a JSON endpoint of a dialog file manager (OpenCart 1.5).
+ * 
+ * @private
+ * @param {string} url
+ * @param {string} path
+ * @returns {Promise<Array<Object>>}
+ */
+async function postDirToDialogEndpoint(url, path) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'directory=' + encodeURIComponent(path)
+    });
+    const text = await response.text();
+
+    return text ? JSON.parse(text) : [];
+}
+
+/**
+ * Hook for OpenCart 1.5: subdirectories and files of a directory are requested from the endpoints of the tree
+ * and of the right column.
+ * 
+ * @private
+ * @param {string} path
+ * @returns {Promise<{ dirs: Array<Object>, files: Array<Object> }>} see "listFileManagerTree".
+ */
+async function readDialogDir(path) {
+    const [dirs, files] = await Promise.all([ this.urls.fileManagerDirectory, this.urls.fileManagerFiles ].map(url => {
+        return this.page.evaluate(postDirToDialogEndpoint, tokenizeUrl(url, this.token, this.config.tokenParam), path);
+    }));
+
+    return {
+        dirs: dirs.map(dir => ({
+            name: String(dir.data),
+            path: dir.attributes.directory,
+            imagePath: `data/${dir.attributes.directory}`
+        })),
+        files: files.map(file => ({
+            name: file.filename,
+            path: file.file,
+            imagePath: `data/${file.file}`,
+            size: file.size ?? null,
+            thumb: file.thumb || null
+        }))
+    };
+}
+
+/**
+ * Hook for OpenCart 2.x and later: a directory is created through the folder popover of a modal.
+ * 
+ * @private
+ * @param {string} dirPath
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function createDirInModal(dirPath, name) {
+    const { folderBtn, folderInput, folderSubmit } = this.fileManagerSelectors;
+
+    await this.page.click(folderBtn);
+
+    const input = await this.page.waitForSelector(folderInput, { visible: true });
+    await input.evaluate((el, name) => el.value = name, name);
+
+    const [isDone] = await Promise.all([
+        this.closeBrowserDialogPromise(30000, this.fileManagerOptions.actionSuccessMsg),
+        this.page.click(folderSubmit)
+    ]);
+
+    return isDone;
+}
+
+/**
+ * Hook for OpenCart 2.x and later: an item is ticked by its checkbox and deleted after a confirmation.
+ * 
+ * @private
+ * @param {string} dirPath
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function deleteInModal(dirPath, name) {
+    const { frame, pathInput, deleteBtn } = this.fileManagerSelectors;
+    const checkboxes = `${frame} ${pathInput}`;
+
+    // A modal shows a limited number of items, so it is paged until the one with the item
+    const readPage = async pageNumber => {
+        await navInModal.call(this, dirPath, pageNumber);
+        return await this.page.$$eval(checkboxes, els => els.map(el => el.value));
+    };
+
+    let isFound = false;
+    for await (const imagePath of readAllPages(readPage, imagePath => imagePath)) {
+        if (imagePath.split('/').pop() === name) {
+            isFound = true;
+            break;
+        }
+    }
+
+    if (!isFound) {
+        throw new Error(`${dirPath ? `${dirPath}/${name}` : name} is not found in the file manager`);
+    }
+
+    await this.page.$$eval(checkboxes, (els, name) => {
+        els.find(el => el.value.split('/').pop() === name).checked = true;
+    }, name);
+
+    const [isDone] = await Promise.all([
+        this.closeBrowserDialogPromise(30000, this.fileManagerOptions.actionSuccessMsg),
+        this.page.click(deleteBtn)
+    ]);
+
+    return isDone;
+}
+
+/**
+ * Hook for OpenCart 2.x and later: a modal is reloaded with the current directory.
+ * 
+ * @private
+ * @returns {Promise<void>}
+ */
+async function reloadModalDir() {
+    await navInModal.call(this, this.curDirPath);
+}
+
+/**
+ * Hook for OpenCart 2.x and later: a file is posted with the directory as a URL parameter.
+ * 
+ * @private
+ * @param {string} name
+ * @param {string} base64
+ * @param {string} mime
+ * @returns {Promise<Object | null>} see "postFileToEndpointInDOM".
+ */
+async function postFileToModal(name, base64, mime) {
+    const url = new URL(tokenizeUrl(this.urls.fileManagerUpload, this.token, this.config.tokenParam));
+    if (this.curDirPath) url.searchParams.set('directory', this.curDirPath);
+
+    return await this.page.evaluate(postFileToEndpointInDOM, url.toString(), {}, 'file[]', name, base64, mime);
+}
+
+/**
+ * Puppeteer page function to request one page of a modal file manager and read its directories and files.
+ * 
+ * @private
+ * @param {string} url
+ * @param {Object} selectors - "fileManagerSelectors".
+ * @returns {Promise<Array<{ type: string, imagePath: string }>>} raw values of the modal, directories first.
+ * Directories have a path, and files have a thumb.
+ */
+async function getModalDirFromDOM(url, selectors) {
+    const response = await fetch(url);
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+    // The checkbox with a path is somewhere next to the link of an item
+    const getImagePath = el => {
+        while (el && !el.querySelector(selectors.pathInput)) el = el.parentElement;
+        return el?.querySelector(selectors.pathInput).value ?? '';
+    };
+
+    const dirs = Array.from(doc.querySelectorAll(selectors.dirLink)).map(el => ({
+        type: 'dir',
+        path: new URL(el.getAttribute('href'), location.href).searchParams.get('directory') || '',
+        imagePath: getImagePath(el)
+    }));
+    const files = Array.from(doc.querySelectorAll(selectors.fileLink)).map(el => {
+        const src = el.querySelector('img')?.getAttribute('src');
+        return { type: 'file', imagePath: getImagePath(el), thumb: src ? new URL(src, location.href).href : null };
+    });
+
+    return [...dirs, ...files];
+}
+
+/**
+ * Hook for OpenCart 2.x and later: every page of a modal with the directory is requested the same way
+ * its directory links do.
+ * 
+ * @private
+ * @param {string} path
+ * @returns {Promise<{ dirs: Array<Object>, files: Array<Object> }>} see "listFileManagerTree".
+ */
+async function readModalDir(path) {
+    const url = new URL(tokenizeUrl(this.urls.fileManager, this.token, this.config.tokenParam));
+    if (path) url.searchParams.set('directory', path);
+
+    const items = [];
+
+    const readPage = pageNumber => {
+        url.searchParams.set('page', String(pageNumber));
+        return this.page.evaluate(getModalDirFromDOM, url.toString(), this.fileManagerSelectors);
+    };
+
+    for await (const item of readAllPages(readPage, item => item.imagePath)) {
+        items.push(item);
+    }
+
+    return {
+        dirs: items.filter(item => item.type === 'dir').map(dir => ({
+            name: dir.imagePath.split('/').pop() || dir.path.split('/').pop(),
+            path: dir.path,
+            imagePath: dir.imagePath
+        })),
+        files: items.filter(item => item.type === 'file').map(file => {
+            const name = file.imagePath.split('/').pop();
+            return { name, path: path ? `${path}/${name}` : name, imagePath: file.imagePath, size: null, thumb: file.thumb };
+        })
+    };
 }
 
 /**
@@ -294,13 +1349,17 @@ async function uploadFilesToFileManager(paths) {
  * @private
  * @param {string} listSelector
  * @param {string} fileName - name.format (just name is not recommended).
+ * @param {string} [pathInputSelector] - input with a file path next to each list element (OpenCart 2.x and later).
+ * If not present, the text of the list element is used.
  * @returns {number}
 */
-function getFileIndexInFileManagerDOM(listSelector, fileName) {
+function getFileIndexInFileManagerDOM(listSelector, fileName, pathInputSelector) {
     const list = document.querySelectorAll(listSelector);
 
     for (let i = 0; i < list.length; i++) {
-        const text = list[i].textContent.trim();
+        const text = pathInputSelector
+            ? list[i].parentElement.querySelector(pathInputSelector)?.value.split('/').pop() || ''
+            : list[i].textContent.trim();
 
         if (text.startsWith(fileName)) return i + 1;
     }
@@ -322,11 +1381,13 @@ async function getFileIndexInFileManager(fileName) {
     
     if (!clearedFileName || !this.curDirFiles.find(name => name.startsWith(clearedFileName))) return -1;
 
+    const { list, pathInput } = this.fileManagerSelectors;
+
     await this.fileManagerFrame.waitForFunction(getFileIndexInFileManagerDOM,
-        {}, this.fileManagerSelectors.list, clearedFileName);
+        {}, list, clearedFileName, pathInput);
 
     return await this.fileManagerFrame.evaluate(getFileIndexInFileManagerDOM,
-        this.fileManagerSelectors.list, clearedFileName) - 1;
+        list, clearedFileName, pathInput) - 1;
 }
 
 /**
@@ -379,20 +1440,102 @@ async function uploadFileToPage(fileName) {
     const file = await this.getFileFromFileManager(fileName);
 
     if (file) {
-        /*  The second click causes a file manager to close.
-            This action destroys the context of execution before puppeteer procedure is finished,
-            so try/catch are necessary here.
-        */
-        try {
-            await file.click({ clickCount: 2 });
-        } catch (e) {}
-    
+        await this.callHook('pickFileInFileManager', file);
         this.fileManagerFrame = null;
     }
 
     return !!file;
 }
 
+/**
+ * Pick an image of the current form page (e.g. a category one) through a file manager, or clear it with imgName="".
+ * 
+ * @private
+ * @param {Object} pageSelectors - selectors of the page with "image" ones, e.g. "categoryPageSelectors".
+ * @param {string} imgName - name.format (just name is not recommended).
+ * @param {string} [dirPath] - directory path. Used to nav in a file manager before a file selection.
+ * @returns {Promise<void>}
+ */
+async function setFormImage(pageSelectors, imgName, dirPath) {
+    const imageSelectors = pageSelectors.image;
+
+    if (imageSelectors.tab) await this.page.$eval(pageSelectors.tabs[imageSelectors.tab], el => el.click());
+
+    const getBtn = async btnSelector => imageSelectors.thumb
+        ? await this.openImagePopover(imageSelectors.thumb, 0, btnSelector)
+        : await this.page.$(btnSelector);
+
+    if (!imgName) {
+        await (await getBtn(imageSelectors.deleteBtn)).click();
+        await this.page.waitForFunction(selector => !document.querySelector(selector).value, {}, imageSelectors.input);
+        return;
+    }
+
+    await this.openFileManagerByBtn(await getBtn(imageSelectors.uploadBtn));
+    if (dirPath) await this.navInFileManager(dirPath);
+
+    if (!await this.uploadFileToPage(imgName)) {
+        await this.closeFileManager();
+        throw new Error(`File ${imgName} is not found in the file manager`);
+    }
+}
+
+/**
+ * Hook for OpenCart 1.5: a file is picked by a double click.
+ * 
+ * @private
+ * @param {ElementHandle} file
+ * @returns {Promise<void>}
+ */
+async function pickFileInDialog(file) {
+    /*  The second click causes a file manager to close.
+        This action destroys the context of execution before puppeteer procedure is finished,
+        so try/catch are necessary here.
+    */
+    try {
+        await file.click({ clickCount: 2 });
+    } catch (e) {}
+}
+
+/**
+ * Hook for OpenCart 2.x and later: a file is picked by a single click, which hides a modal.
+ * 
+ * @private
+ * @param {ElementHandle} file
+ * @returns {Promise<void>}
+ */
+async function pickFileInModal(file) {
+    await file.click();
+    await this.page.waitForSelector(this.fileManagerSelectors.frame, { hidden: true });
+}
+
+defineHooks(['1.5'], {
+    attachFileManager: attachDialogFileManager,
+    navInFileManager: navInDirTree,
+    pickFileInFileManager: pickFileInDialog,
+    createFileManagerDir: createDirInDialog,
+    deleteFileManagerItem: deleteInDialog,
+    renameFileManagerItem: renameInDialog,
+    moveFileManagerItem: moveInDialog,
+    copyFileManagerItem: copyInDialog,
+    refreshFileManagerDir: fetchDialogDirFiles,
+    readFileManagerDir: readDialogDir,
+    postFileToFileManager: postFileToDialog,
+    redrawFileManagerDir: redrawDialogDir
+});
+
+defineHooks(['2.x', '3.x', '4.x'], {
+    attachFileManager: attachModalFileManager,
+    navInFileManager: navInModal,
+    pickFileInFileManager: pickFileInModal,
+    createFileManagerDir: createDirInModal,
+    deleteFileManagerItem: deleteInModal,
+    refreshFileManagerDir: reloadModalDir,
+    readFileManagerDir: readModalDir,
+    postFileToFileManager: postFileToModal,
+    redrawFileManagerDir: reloadModalDir
+});
+
 module.exports = function (Cartmin) {
     Object.assign(Cartmin.prototype, {
         openFileManager,
@@ -402,13 +1545,32 @@ module.exports = function (Cartmin) {
         navInFileManager,
         destroyNav,
         uploadFilesToFileManager,
+        validateFilesForFileManager,
+        createDirInFileManager,
+        deleteInFileManager,
+        renameInFileManager,
+        moveInFileManager,
+        copyInFileManager,
+        listFileManagerTree,
         selectFileInFileManager,
         uploadFileToPage,
         //private
+        openFileManagerByBtn,
+        prepareUploadFile,
+        uploadFileToFileManager,
+        postFileToFileManager,
+        runFileManagerAction,
+        readFileManagerTree,
+        selectItemInDialog,
+        submitDialogAction,
+        runDialogItemAction,
+        selectDirInDialog,
+        setFormImage,
         isClickedPromise,
         getDirFilesPromise,
         closeBrowserDialogPromise,
         getFileIndexInFileManager,
         getFileFromFileManager,
+        getModalDirFiles
     });
 };
\ No newline at end of file
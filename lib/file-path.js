@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const { parse: parsePath } = require('path');
+const _ = require('lodash');
+
+/**
+ * Split a file manager path into the path of its directory and its name.
+ * 
+ * @param {string} path - e.g. "shoes/red.jpg".
+ * @returns {{ dirPath: string, name: string }}
+ */
+function splitFileManagerPath(path) {
+    const index = path.lastIndexOf('/');
+
+    return { dirPath: index === -1 ? '' : path.substring(0, index), name: path.substring(index + 1) };
+}
+
+/**
+ * Join parts of a file manager path, skipping empty ones.
+ * 
+ * @param {...string} parts
+ * @returns {string}
+ */
+function joinFileManagerPath(...parts) {
+    return parts.filter(Boolean).join('/');
+}
+
+/**
+ * Find a name.format that is not taken in a directory by adding a suffix: name-1.format, name-2.format...
+ * 
+ * @param {string} name
+ * @param {Array<string>} dirFiles - names of files in the directory.
+ * @returns {string}
+ */
+function getFreeFileName(name, dirFiles) {
+    const { name: stem, ext } = parsePath(name);
+
+    for (let i = 1; ; i++) {
+        const candidate = `${stem}-${i}${ext}`;
+        if (!dirFiles.includes(candidate)) return candidate;
+    }
+}
+
+/**
+ * Does a relative path match a pattern?
+ * 
+ * A string pattern supports wildcards: "*" and "?" inside a name, "**" across directories. A "**" that is a whole
+ * directory of a pattern matches zero or more directories. A pattern without "/" is matched against the name only,
+ * e.g. "*.jpg".
+ * 
+ * @param {string} relPath - e.g. "shoes/red.jpg".
+ * @param {string | RegExp} pattern
+ * @returns {boolean}
+ */
+function matchesPattern(relPath, pattern) {
+    // A copy has its own lastIndex, which a global or sticky RegExp keeps between tests
+    if (pattern instanceof RegExp) return new RegExp(pattern).test(relPath);
+
+    const toSource = part => part.split('*').map(chunk => chunk.split('?').map(_.escapeRegExp).join('[^/]')).join('[^/]*');
+    const source = pattern.split('**/')
+        .map(segment => segment.split('**').map(toSource).join('.*'))
+        .join('(?:.*/)?');
+
+    return new RegExp(`^${source}$`).test(pattern.includes('/') ? relPath : relPath.split('/').pop());
+}
+
+module.exports = {
+    splitFileManagerPath,
+    joinFileManagerPath,
+    getFreeFileName,
+    matchesPattern
+};
\ No newline at end of file
@@ -0,0 +1,289 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { join: joinPath } = require('path');
+const is = require('./is.js');
+const { joinFileManagerPath, matchesPattern } = require('./file-path.js');
+
+/**
+ * Is a path passed by include and exclude patterns?
+ * 
+ * @private
+ * @param {string} relPath
+ * @param {Array<string | RegExp>} [include] - the path must match one of them, if present.
+ * @param {Array<string | RegExp>} [exclude] - the path must match none of them.
+ * @returns {boolean}
+ */
+function isIncluded(relPath, include, exclude) {
+    return (!include || include.some(pattern => matchesPattern(relPath, pattern))) &&
+        !exclude?.some(pattern => matchesPattern(relPath, pattern));
+}
+
+/**
+ * Validate an include or exclude option and bring it to an array.
+ * 
+ * @private
+ * @param {string} name
+ * @param {string | RegExp | Array<string | RegExp>} [patterns]
+ * @returns {Array<string | RegExp> | undefined}
+ */
+function normalizePatterns(name, patterns) {
+    if (!is.defined(patterns)) return undefined;
+
+    const list = is.array(patterns) ? patterns : [ patterns ];
+
+    list.forEach((pattern, i) => {
+        if (!is.string(pattern) && !(pattern instanceof RegExp)) {
+            throw is.invalidTypeError(is.array(patterns) ? `${name}[${i}]` : name, 'string', pattern);
+        }
+    });
+
+    return list;
+}
+
+/**
+ * Read directories of a local tree with their files. Excluded directories are skipped with their contents.
+ * 
+ * @private
+ * @param {string} localDir
+ * @param {Object} options - see "syncDirToFileManager".
+ * @param {string} [relPath='']
+ * @returns {Array<{ relPath: string, files: Array<{ name: string, path: string, relPath: string }> }>}
+ * parents go before their children.
+ */
+function readLocalDirs(localDir, options, relPath = '') {
+    const dir = { relPath, files: [] };
+    const subdirs = [];
+
+    const entries = fs.readdirSync(joinPath(localDir, relPath), { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+        const entryRelPath = joinFileManagerPath(relPath, entry.name);
+
+        if (entry.isDirectory()) {
+            if (!options.recursive || !isIncluded(entryRelPath, undefined, options.exclude)) continue;
+            subdirs.push(...readLocalDirs(localDir, options, entryRelPath));
+        } else if (entry.isFile() && isIncluded(entryRelPath, options.include, options.exclude)) {
+            dir.files.push({ name: entry.name, path: joinPath(localDir, entryRelPath), relPath: entryRelPath });
+        }
+    }
+
+    return [ dir, ...subdirs ];
+}
+
+/**
+ * Index directories of a file manager tree by their paths.
+ * 
+ * @private
+ * @param {Object} tree - see "listFileManagerTree".
+ * @param {Map<string, Object>} [dirs]
+ * @returns {Map<string, Object>}
+ */
+function indexFileManagerTree(tree, dirs = new Map()) {
+    dirs.set(tree.path, tree);
+    tree.dirs?.forEach(dir => indexFileManagerTree(dir, dirs));
+
+    return dirs;
+}
+
+/**
+ * Create a directory of a file manager with all its missing parents.
+ * 
+ * @private
+ * @param {string} path
+ * @returns {Promise<Array<string>>} paths of created directories.
+ */
+async function createFileManagerDirPath(path) {
+    const created = [];
+    let parentPath = '';
+
+    for (const name of path.split('/').filter(Boolean)) {
+        const dirPath = joinFileManagerPath(parentPath, name);
+        const parent = await this.listFileManagerTree(parentPath, { depth: 1 });
+
+        if (!parent.dirs.some(dir => dir.path === dirPath)) {
+            if (!await this.createDirInFileManager(dirPath)) {
+                throw new Error(`Directory ${dirPath} cannot be created in the file manager`);
+            }
+            created.push(dirPath);
+        }
+
+        parentPath = dirPath;
+    }
+
+    return created;
+}
+
+/**
+ * Get the size of an image of the shop from the headers of its URL. Images are public, so no session is needed.
+ * 
+ * @private
+ * @param {string} imagePath - path relative to the image directory, e.g. "catalog/shoes/red.jpg".
+ * @returns {Promise<number | null>} size in bytes, or null if the server does not report it or is unreachable.
+ */
+async function getShopImageSize(imagePath) {
+    const url = new URL(`image/${imagePath}`, this.config.baseUrl);
+    const response = await fetch(url, { method: 'HEAD', cache: 'no-store' }).catch(() => null);
+    const size = Number(response?.headers.get('content-length'));
+
+    return response?.ok && size ? size : null;
+}
+
+/**
+ * Compare a local file with an image of the shop byte by byte. Images are public, so no session is needed.
+ * 
+ * Sizes are compared first by a HEAD request, so only images of the same (or an unreported) size are downloaded.
+ * An image that cannot be downloaded counts as changed.
+ * 
+ * @private
+ * @param {string} localPath
+ * @param {string} imagePath - path relative to the image directory, e.g. "catalog/shoes/red.jpg".
+ * @returns {Promise<boolean>}
+ */
+async function isSameAsShopImage(localPath, imagePath) {
+    const size = await this.getShopImageSize(imagePath);
+    if (size !== null && size !== fs.statSync(localPath).size) return false;
+
+    try {
+        const response = await fetch(new URL(`image/${imagePath}`, this.config.baseUrl), { cache: 'no-store' });
+        if (!response.ok) return false;
+
+        return Buffer.from(await response.arrayBuffer()).equals(fs.readFileSync(localPath));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Mirror a local directory into a directory of a file manager.
+ * 
+ * Missing directories are created, new files are uploaded and changed ones are overwritten. Files are compared
+ * by their contents, so unchanged files are not uploaded again. A comparison costs a HEAD request per existing file
+ * and a download of each one with the same size as its local file. With deleteRemoved=true files of the file manager
+ * that are not present locally (among the included ones) are deleted. Directories are never deleted.
+ * 
+ * A file manager must be open.
+ * 
+ * @param {string} localDir - path of a local directory.
+ * @param {string} [remotePath=''] - directory path in a file manager, e.g. "shoes". The top directory by default.
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive=true] - set this to false to sync only files of the directory itself.
+ * @param {string | RegExp | Array<string | RegExp>} [options.include] - only files with a matching path are synced.
+ * Paths are relative to localDir with "/" separators. Strings support "*", "?" and "**" wildcards, and a string
+ * without "/" is matched against the name only, e.g. "*.jpg".
+ * @param {string | RegExp | Array<string | RegExp>} [options.exclude] - files and directories with a matching path
+ * are skipped.
+ * @param {boolean} [options.deleteRemoved=false] - set this to true to delete files that are not present locally.
+ * @param {boolean} [options.compareContents=true] - set this to false to treat every existing file as unchanged.
+ * @returns {Promise<{
+ *  createdDirs: Array<string>,
+ *  uploaded: Array<string>,
+ *  updated: Array<string>,
+ *  unchanged: Array<string>,
+ *  deleted: Array<string>,
+ *  failed: Array<string>
+ * }>} file manager paths. Failed uploads are reported by their local paths.
+ */
+async function syncDirToFileManager(localDir, remotePath = '', options = {}) {
+    is.invalidType('localDir', 'string', localDir);
+    is.invalidType('remotePath', 'string', remotePath);
+    is.invalidType('options', 'object', options);
+    is.invalidType('options.recursive', 'boolean', options.recursive, true);
+    is.invalidType('options.deleteRemoved', 'boolean', options.deleteRemoved, true);
+    is.invalidType('options.compareContents', 'boolean', options.compareContents, true);
+
+    const settings = {
+        recursive: options.recursive ?? true,
+        include: normalizePatterns('options.include', options.include),
+        exclude: normalizePatterns('options.exclude', options.exclude),
+        deleteRemoved: options.deleteRemoved ?? false,
+        compareContents: options.compareContents ?? true
+    };
+
+    if (!fs.existsSync(localDir) || !fs.statSync(localDir).isDirectory()) {
+        throw new Error(`${localDir} is not a directory`);
+    }
+    if (!this.fileManagerFrame) {
+        throw new Error('file manager is closed');
+    }
+
+    const rootPath = remotePath.replace(/^\/+|\/+$/g, '');
+    const summary = { createdDirs: [], uploaded: [], updated: [], unchanged: [], deleted: [], failed: [] };
+
+    summary.createdDirs.push(...await this.createFileManagerDirPath(rootPath));
+
+    const remoteDirs = indexFileManagerTree(await this.listFileManagerTree(rootPath, {
+        depth: settings.recursive ? Infinity : 1
+    }));
+
+    for (const localDirEntry of readLocalDirs(localDir, settings)) {
+        const dirPath = joinFileManagerPath(rootPath, localDirEntry.relPath);
+        let remoteDir = remoteDirs.get(dirPath);
+
+        if (!remoteDir) {
+            if (!await this.createDirInFileManager(dirPath)) {
+                throw new Error(`Directory ${dirPath} cannot be created in the file manager`);
+            }
+            summary.createdDirs.push(dirPath);
+            remoteDir = { files: [] };
+        }
+
+        const remoteFiles = new Map(remoteDir.files.map(file => [ file.name, file ]));
+        const toUpload = [];
+        const changed = new Set();
+
+        for (const file of localDirEntry.files) {
+            const remoteFile = remoteFiles.get(file.name);
+            remoteFiles.delete(file.name);
+
+            if (!remoteFile) {
+                toUpload.push(file.path);
+            } else if (!settings.compareContents || await this.isSameAsShopImage(file.path, remoteFile.imagePath)) {
+                summary.unchanged.push(remoteFile.path);
+            } else {
+                toUpload.push(file.path);
+                changed.add(file.path);
+            }
+        }
+
+        const toDelete = settings.deleteRemoved
+            ? Array.from(remoteFiles.values()).filter(file => {
+                return isIncluded(joinFileManagerPath(localDirEntry.relPath, file.name), settings.include, settings.exclude);
+            })
+            : [];
+
+        if (!toUpload.length && !toDelete.length) continue;
+
+        await this.navInFileManager(dirPath);
+
+        for (const file of toDelete) {
+            (await this.deleteInFileManager(file.path) ? summary.deleted : summary.failed).push(file.path);
+        }
+
+        for (const result of await this.uploadFilesToFileManager(toUpload, { onConflict: 'overwrite' })) {
+            if (!result.name) {
+                summary.failed.push(result.path);
+            } else {
+                (changed.has(result.path) ? summary.updated : summary.uploaded).push(joinFileManagerPath(dirPath, result.name));
+            }
+        }
+    }
+
+    return summary;
+}
+
+module.exports = function (Cartmin) {
+    Object.assign(Cartmin.prototype, {
+        syncDirToFileManager,
+        // private
+        createFileManagerDirPath,
+        getShopImageSize,
+        isSameAsShopImage
+    });
+};
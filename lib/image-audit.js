@@ -0,0 +1,180 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+
+/**
+ * Puppeteer page function to read paths of the main and secondary images of a product page.
+ * 
+ * @private
+ * @param {Object} selectors - product page selectors.
+ * @returns {Array<string>} paths relative to the image directory.
+ */
+function getProductImagesFromDOM(selectors) {
+    const secondaryImages = Array.from(document.querySelectorAll(selectors.image.rows))
+        .map(row => row.querySelector(selectors.image.rowPath)?.value || '');
+
+    return [ document.querySelector(selectors.data.path)?.value || '', ...secondaryImages ].filter(Boolean);
+}
+
+/**
+ * Is a file manager path inside one of the directories?
+ * 
+ * @private
+ * @param {string} path
+ * @param {Array<string>} dirPaths
+ * @returns {boolean}
+ */
+function isInDirs(path, dirPaths) {
+    return dirPaths.some(dirPath => !dirPath || path === dirPath || path.startsWith(`${dirPath}/`));
+}
+
+/**
+ * Collect files of a file manager tree, skipping the ones of protected directories.
+ * 
+ * @private
+ * @param {Object} tree - see "listFileManagerTree".
+ * @param {Array<string>} protectedDirs
+ * @param {Array<Object>} [files]
+ * @returns {Array<Object>}
+ */
+function collectTreeFiles(tree, protectedDirs, files = []) {
+    if (tree.path && isInDirs(tree.path, protectedDirs)) return files;
+
+    files.push(...tree.files);
+    tree.dirs.forEach(dir => collectTreeFiles(dir, protectedDirs, files));
+
+    return files;
+}
+
+/**
+ * Read images used by products: the main and secondary images of every product of the catalog.
+ * 
+ * @private
+ * @returns {Promise<Set<string>>} paths relative to the image directory.
+ */
+async function readProductImagePaths() {
+    const products = [];
+    for await (const product of this.listProducts()) products.push(product);
+
+    const paths = new Set();
+
+    for (const product of products) {
+        const response = await this.page.goto(product.url, { waitUntil: 'domcontentloaded' });
+
+        if (!response?.ok()) {
+            throw new Error(`Cannot nav to the page of product ${product.productId}`);
+        }
+
+        const images = await this.page.evaluate(getProductImagesFromDOM, this.productPageSelectors);
+        images.forEach(path => paths.add(path));
+    }
+
+    return paths;
+}
+
+/**
+ * Validate options of "findOrphanedImages" and "deleteOrphanedImages".
+ * 
+ * @private
+ * @param {Object} options
+ * @returns {{ path: string, protectedDirs: Array<string> }}
+ */
+function normalizeOrphanOptions(options) {
+    is.invalidType('options', 'object', options);
+    is.invalidType('options.path', 'string', options.path, true);
+    is.invalidType('options.protectedDirs', 'array', options.protectedDirs, true);
+
+    const protectedDirs = (options.protectedDirs ?? []).map((dirPath, i) => {
+        is.invalidType(`options.protectedDirs[${i}]`, 'string', dirPath);
+        return dirPath.replace(/^\/+|\/+$/g, '');
+    });
+
+    return { path: (options.path ?? '').replace(/^\/+|\/+$/g, ''), protectedDirs };
+}
+
+/**
+ * Find files of a file manager that no product uses as its main or secondary image.
+ * 
+ * Only products are checked, so images of categories, manufacturers, banners, settings (e.g. the logo) and
+ * descriptions are reported as well. Keep their directories in protectedDirs.
+ * 
+ * Visits every product page, so it takes a while on a big catalog.
+ * 
+ * @param {Object} [options]
+ * @param {string} [options.path=''] - directory path in a file manager to check, e.g. "products". The top directory by default.
+ * @param {Array<string>} [options.protectedDirs=[]] - directory paths in a file manager whose files are never reported,
+ * e.g. [ "banners", "logos" ].
+ * @returns {Promise<Array<{ path: string, imagePath: string, size: number | null }>>} paths in a file manager and
+ * relative to the image directory, sizes in bytes.
+ */
+async function findOrphanedImages(options = {}) {
+    const { path, protectedDirs } = normalizeOrphanOptions(options);
+
+    const tree = await this.listFileManagerTree(path);
+    const files = collectTreeFiles(tree, protectedDirs).filter(file => !isInDirs(file.path, protectedDirs));
+    const usedPaths = await this.readProductImagePaths();
+
+    const orphans = [];
+
+    for (const file of files) {
+        if (usedPaths.has(file.imagePath)) continue;
+
+        orphans.push({ path: file.path, imagePath: file.imagePath, size: await this.getShopImageSize(file.imagePath) });
+    }
+
+    return orphans;
+}
+
+/**
+ * Find files of a file manager that no product uses (see "findOrphanedImages") and delete them through a file manager.
+ * 
+ * Nothing is deleted by default: set dryRun=false to delete. A file manager is opened on the product insert page.
+ * 
+ * @param {Object} [options] - see "findOrphanedImages".
+ * @param {string} [options.path='']
+ * @param {Array<string>} [options.protectedDirs=[]]
+ * @param {boolean} [options.dryRun=true] - set this to false to actually delete the files.
+ * @returns {Promise<{
+ *  orphans: Array<{ path: string, imagePath: string, size: number | null }>,
+ *  deleted: Array<string>,
+ *  failed: Array<string>
+ * }>} deleted and failed files are paths in a file manager.
+ */
+async function deleteOrphanedImages(options = {}) {
+    normalizeOrphanOptions(options);
+    is.invalidType('options.dryRun', 'boolean', options.dryRun, true);
+
+    const orphans = await this.findOrphanedImages(options);
+    const result = { orphans, deleted: [], failed: [] };
+
+    if ((options.dryRun ?? true) || !orphans.length) return result;
+
+    await this.navTo('productInsert');
+    await this.openFileManager();
+
+    try {
+        // One failed deletion does not stop the others
+        for (const orphan of orphans) {
+            const isDeleted = await this.deleteInFileManager(orphan.path).catch(() => false);
+            (isDeleted ? result.deleted : result.failed).push(orphan.path);
+        }
+    } finally {
+        await this.closeFileManager();
+    }
+
+    return result;
+}
+
+module.exports = function (Cartmin) {
+    Object.assign(Cartmin.prototype, {
+        findOrphanedImages,
+        deleteOrphanedImages,
+        // private
+        readProductImagePaths
+    });
+};
@@ -0,0 +1,213 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+
+// Extensions of image formats by their MIME types. The first one is used for converted files.
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': [ 'jpg', 'jpeg' ],
+    'image/png': [ 'png' ],
+    'image/gif': [ 'gif' ],
+    'image/webp': [ 'webp' ],
+    'image/x-icon': [ 'ico' ]
+};
+
+// Latin transliteration of Cyrillic letters for file names
+const CYRILLIC_LETTERS = {
+    а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', ё: 'e', є: 'ye', ж: 'zh', з: 'z', и: 'i', і: 'i', ї: 'yi',
+    й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts',
+    ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+/**
+ * Read width and height of a JPEG from its first SOF segment.
+ * 
+ * @param {Buffer} data
+ * @returns {{ width: number, height: number } | null}
+ */
+function getJpegSize(data) {
+    let offset = 2;
+
+    while (offset + 9 < data.length) {
+        if (data[offset] !== 0xFF) return null;
+
+        const marker = data[offset + 1];
+
+        // Fill bytes and standalone markers have no length
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2;
+            continue;
+        }
+        // SOF0...SOF15, except DHT, JPG and DAC
+        if (marker >= 0xC0 && marker <= 0xCF && ![ 0xC4, 0xC8, 0xCC ].includes(marker)) {
+            return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+        }
+
+        offset += 2 + data.readUInt16BE(offset + 2);
+    }
+
+    return null;
+}
+
+/**
+ * Read width and height of a WebP from its first chunk.
+ * 
+ * @param {Buffer} data
+ * @returns {{ width: number, height: number } | null}
+ */
+function getWebpSize(data) {
+    switch (data.toString('ascii', 12, 16)) {
+        case 'VP8 ':
+            return { width: data.readUInt16LE(26) & 0x3FFF, height: data.readUInt16LE(28) & 0x3FFF };
+        case 'VP8L': {
+            const bits = data.readUInt32LE(21);
+            return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+        }
+        case 'VP8X':
+            return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Recognize an image by its content rather than by its extension.
+ * 
+ * JPEG, PNG, GIF, WebP and ICO are recognized.
+ * 
+ * @param {Buffer} data
+ * @returns {{ mime: string, width: number, height: number } | null} null if the content is not a recognized image.
+ */
+function sniffImage(data) {
+    if (!Buffer.isBuffer(data)) {
+        throw is.invalidTypeError('data', 'Buffer', data);
+    }
+    if (data.length < 30) return null;
+
+    let mime = null;
+    let size = null;
+
+    if (data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) {
+        mime = 'image/jpeg';
+        size = getJpegSize(data);
+    } else if (data.toString('hex', 0, 8) === '89504e470d0a1a0a') {
+        mime = 'image/png';
+        size = { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    } else if ([ 'GIF87a', 'GIF89a' ].includes(data.toString('ascii', 0, 6))) {
+        mime = 'image/gif';
+        size = { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+    } else if (data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+        mime = 'image/webp';
+        size = getWebpSize(data);
+    } else if (data.readUInt32BE(0) === 0x00000100) {
+        // 0 in an ICO directory means 256 pixels
+        mime = 'image/x-icon';
+        size = { width: data[6] || 256, height: data[7] || 256 };
+    }
+
+    return mime && size ? { mime, ...size } : null;
+}
+
+/**
+ * Get the extension (without a dot) of an image format.
+ * 
+ * @param {string} mime
+ * @returns {string | null}
+ */
+function getImageExtension(mime) {
+    return IMAGE_EXTENSIONS[mime]?.[0] ?? null;
+}
+
+/**
+ * Does an extension belong to an image format?
+ * 
+ * @param {string} ext - without a dot, in any case.
+ * @param {string} mime
+ * @returns {boolean}
+ */
+function isImageExtension(ext, mime) {
+    return IMAGE_EXTENSIONS[mime]?.includes(ext.toLowerCase()) ?? false;
+}
+
+/**
+ * Make a file name safe for any file manager: Latin letters without diacritics, digits and hyphens in lower case.
+ * Cyrillic letters are transliterated.
+ * 
+ * @param {string} fileName - name.format.
+ * @param {string} [fallback='file'] - name used when nothing is left of the original one.
+ * @returns {string}
+ */
+function slugifyFileName(fileName, fallback = 'file') {
+    is.invalidType('fileName', 'string', fileName);
+
+    const index = fileName.lastIndexOf('.');
+    const [ name, ext ] = index > 0 ? [ fileName.substring(0, index), fileName.substring(index + 1) ] : [ fileName, '' ];
+
+    const slug = name
+        .toLowerCase()
+        .replace(/[а-яёґєії]/g, letter => CYRILLIC_LETTERS[letter] ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || fallback;
+
+    return ext ? `${slug}.${ext.toLowerCase().replace(/[^a-z0-9]/g, '')}` : slug;
+}
+
+/**
+ * Check a file against upload rules of a file manager.
+ * 
+ * @param {string} name - name.format in the file manager.
+ * @param {number} size - size in bytes.
+ * @param {{ mime: string, width: number, height: number } | null} image - see "sniffImage".
+ * @param {Object} rules - see "fileManagerOptions.uploadRules" of the config.
+ * @returns {string | null} the first broken rule.
+ */
+function getUploadRuleError(name, size, image, rules) {
+    const ext = name.includes('.') ? name.split('.').pop() : '';
+
+    if (!rules.extensions.includes(ext.toLowerCase())) {
+        return `Extension "${ext}" is not allowed. Use one of: ${rules.extensions.join(', ')}`;
+    }
+    if (!image) {
+        return 'Contents are not a recognized image';
+    }
+    if (!rules.mimeTypes.includes(image.mime)) {
+        return `Image type ${image.mime} is not allowed. Use one of: ${rules.mimeTypes.join(', ')}`;
+    }
+    if (!isImageExtension(ext, image.mime)) {
+        return `Extension "${ext}" does not match the image type ${image.mime}`;
+    }
+    if (is.number(rules.maxSize) && size > rules.maxSize) {
+        return `Size ${size} bytes exceeds ${rules.maxSize} bytes`;
+    }
+    if ((is.number(rules.maxWidth) && image.width > rules.maxWidth) ||
+        (is.number(rules.maxHeight) && image.height > rules.maxHeight))
+    {
+        return `Dimensions ${image.width}x${image.height} exceed ${rules.maxWidth ?? '*'}x${rules.maxHeight ?? '*'}`;
+    }
+    if (name.length < rules.minNameLength || name.length > rules.maxNameLength) {
+        return `Name length ${name.length} is out of ${rules.minNameLength}-${rules.maxNameLength}`;
+    }
+    if (rules.namePattern && !new RegExp(rules.namePattern).test(name)) {
+        return `Name ${name} contains characters that the file manager changes`;
+    }
+
+    return null;
+}
+
+module.exports = {
+    sniffImage,
+    getImageExtension,
+    isImageExtension,
+    slugifyFileName,
+    getUploadRuleError
+};
@@ -0,0 +1,317 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+const { addTableRow, removeTableRow } = require('./list.js');
+
+/**
+ * Do an image path and a file name point to the same file? Only name.format is compared.
+ * 
+ * @private
+ * @param {string} path - e.g. "catalog/shoes/red.jpg".
+ * @param {string} fileName - name.format or a path.
+ * @returns {boolean}
+ */
+function isSameFileName(path, fileName) {
+    return path.split('/').pop() === fileName.split(/[\\/]/).pop();
+}
+
+/**
+ * Puppeteer page function to read rows of the image tab.
+ * 
+ * @private
+ * @param {Object} selectors - "productPageSelectors.image".
+ * @returns {Array<{ rowId: string, path: string, sortOrder: string }>} raw values of the form.
+ */
+function getImageRowsFromDOM(selectors) {
+    return Array.from(document.querySelectorAll(selectors.rows)).map(row => ({
+        rowId: row.id,
+        path: row.querySelector(selectors.rowPath)?.value || '',
+        sortOrder: row.querySelector(selectors.rowSortOrder)?.value ?? ''
+    }));
+}
+
+/**
+ * Read secondary image rows of a product page as they are in the form, including the ones without an image.
+ * 
+ * @private
+ * @returns {Promise<Array<Object>>} see "getImageRowsFromDOM".
+ */
+async function readImageRows() {
+    await this.navToProductPageTab('image');
+
+    return await this.page.evaluate(getImageRowsFromDOM, this.productPageSelectors.image);
+}
+
+/**
+ * Find a secondary image row by the file name of its image.
+ * 
+ * @private
+ * @param {string} imgName - name.format or a path.
+ * @returns {Promise<Object | null>} see "getImageRowsFromDOM".
+ */
+async function findImageRow(imgName) {
+    const rows = await this.readImageRows();
+    return rows.find(row => row.path && isSameFileName(row.path, imgName)) ?? null;
+}
+
+/**
+ * Add a secondary image row and pick its image through a file manager. The row is removed if the file is not found.
+ * 
+ * @private
+ * @param {string} imgName - name.format (just name is not recommended).
+ * @param {string} [dirPath] - directory path. Used to nav in a file manager before a file selection.
+ * @returns {Promise<{ rowId: string, path: string }>}
+ */
+async function addImageRow(imgName, dirPath) {
+    const { rows, addBtn, rowPath } = this.productPageSelectors.image;
+    const rowId = await addTableRow(this.page, rows, addBtn);
+    const index = await this.page.$$eval(rows, els => els.length - 1);
+
+    await this.openFileManager('image', index);
+    if (dirPath) await this.navInFileManager(dirPath);
+
+    if (!await this.uploadFileToPage(imgName)) {
+        await this.closeFileManager();
+        await this.removeImageRow(rowId);
+        throw new Error(`File ${imgName} is not found in the file manager`);
+    }
+
+    const path = await this.page.waitForFunction(selector => document.querySelector(selector)?.value,
+        {}, `#${rowId} ${rowPath}`);
+
+    return { rowId, path: await path.jsonValue() };
+}
+
+/**
+ * Remove a secondary image row by its button.
+ * 
+ * @private
+ * @param {string} rowId
+ * @returns {Promise<void>}
+ */
+async function removeImageRow(rowId) {
+    await removeTableRow(this.page, rowId, this.productPageSelectors.image.rowRemoveBtn);
+}
+
+/**
+ * Set the sort order input of a secondary image row.
+ * 
+ * @private
+ * @param {string} rowId
+ * @param {number} sortOrder
+ * @returns {Promise<boolean>} was the sort order changed?
+ */
+async function fillImageRowSortOrder(rowId, sortOrder) {
+    const selectors = { sort_order: `#${rowId} ${this.productPageSelectors.image.rowSortOrder}` };
+
+    return (await this.fillProductFields(selectors, { sort_order: String(sortOrder) })).length > 0;
+}
+
+/**
+ * Get secondary images of a product from the image tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @returns {Promise<Array<{ path: string, sortOrder: number }>>} paths are relative to the image directory.
+ */
+async function getSecondaryProductImages() {
+    this.isInvalidPage('product', 'productInsert');
+
+    const rows = await this.readImageRows();
+    return rows.filter(row => row.path).map(row => ({ path: row.path, sortOrder: Number(row.sortOrder) || 0 }));
+}
+
+/**
+ * Add one secondary image to a product. Other images are kept.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {string} imgName - name.format of a file in a file manager (just name is not recommended).
+ * @param {Object} [options]
+ * @param {string} [options.dirPath] - directory path. Used to nav in a file manager before a file selection.
+ * @param {number} [options.sortOrder]
+ * @returns {Promise<string>} path of the added image.
+ */
+async function addSecondaryProductImage(imgName, options = {}) {
+    is.invalidType('imgName', 'string', imgName);
+    is.invalidType('options', 'object', options);
+    is.invalidType('options.dirPath', 'string', options.dirPath, true);
+    is.invalidType('options.sortOrder', 'number', options.sortOrder, true);
+
+    this.isInvalidPage('product', 'productInsert');
+
+    await this.navToProductPageTab('image');
+
+    const { rowId, path } = await this.addImageRow(imgName, options.dirPath);
+    if (is.defined(options.sortOrder)) await this.fillImageRowSortOrder(rowId, options.sortOrder);
+
+    return path;
+}
+
+/**
+ * Remove one secondary image of a product by its file name. Other images are kept.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {string} imgName - name.format or a path of the image.
+ * @returns {Promise<boolean>} was the image found and removed?
+ */
+async function removeSecondaryProductImage(imgName) {
+    is.invalidType('imgName', 'string', imgName);
+
+    this.isInvalidPage('product', 'productInsert');
+
+    const row = await this.findImageRow(imgName);
+    if (!row) return false;
+
+    await this.removeImageRow(row.rowId);
+
+    return true;
+}
+
+/**
+ * Set the sort order of one secondary image of a product. Throws an Error if the image is not found.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {string} imgName - name.format or a path of the image.
+ * @param {number} sortOrder
+ * @returns {Promise<boolean>} was the sort order changed?
+ */
+async function setSecondaryProductImageSortOrder(imgName, sortOrder) {
+    is.invalidType('imgName', 'string', imgName);
+    is.invalidType('sortOrder', 'number', sortOrder);
+
+    this.isInvalidPage('product', 'productInsert');
+
+    const row = await this.findImageRow(imgName);
+
+    if (!row) {
+        throw new Error(`Secondary image ${imgName} is not found`);
+    }
+
+    return await this.fillImageRowSortOrder(row.rowId, sortOrder);
+}
+
+/**
+ * Reorder secondary images of a product by their sort orders. Throws an Error if an image is not found.
+ * 
+ * The given images get sort orders 0, 1, 2... in their order, and the other ones follow them in their current order.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Array<string>} imgNames - name.format or paths of images.
+ * @returns {Promise<boolean>} was any sort order changed?
+ */
+async function reorderSecondaryProductImages(imgNames) {
+    is.invalidType('imgNames', 'array', imgNames);
+    imgNames.forEach((imgName, i) => is.invalidType(`imgNames[${i}]`, 'string', imgName));
+
+    this.isInvalidPage('product', 'productInsert');
+
+    const rows = (await this.readImageRows()).filter(row => row.path);
+    const rest = rows.slice().sort((a, b) => (Number(a.sortOrder) || 0) - (Number(b.sortOrder) || 0));
+
+    const ordered = imgNames.map(imgName => {
+        const index = rest.findIndex(row => isSameFileName(row.path, imgName));
+
+        if (index === -1) {
+            throw new Error(`Secondary image ${imgName} is not found`);
+        }
+
+        return rest.splice(index, 1)[0];
+    });
+
+    let changed = false;
+
+    for (const [sortOrder, row] of [ ...ordered, ...rest ].entries()) {
+        if ((Number(row.sortOrder) || 0) === sortOrder) continue;
+        if (await this.fillImageRowSortOrder(row.rowId, sortOrder)) changed = true;
+    }
+
+    return changed;
+}
+
+/**
+ * Make secondary images of a product match a target list with the fewest steps.
+ * 
+ * Rows are matched by file names. Rows of other images (and empty ones) are removed, missing images are added
+ * through a file manager, and sort orders are set only where they differ. Running it again changes nothing.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Array<string | { name: string, sortOrder?: number }>} images - name.format of files in a file manager.
+ * The sort order of an image is its index in the list by default.
+ * @param {string} [dirPath] - directory path. Used to nav in a file manager before a file selection.
+ * @returns {Promise<{ added: Array<string>, removed: Array<string>, sorted: Array<string> }>} paths of added and removed
+ * images, and of images with a new sort order.
+ */
+async function syncSecondaryProductImages(images, dirPath) {
+    is.invalidType('images', 'array', images);
+    is.invalidType('dirPath', 'string', dirPath, true);
+
+    const targets = images.map((image, i) => {
+        if (is.string(image)) return { name: image, sortOrder: i };
+
+        is.invalidType(`images[${i}]`, 'object', image);
+        is.invalidType(`images[${i}].name`, 'string', image.name);
+        is.invalidType(`images[${i}].sortOrder`, 'number', image.sortOrder, true);
+
+        return { name: image.name, sortOrder: image.sortOrder ?? i };
+    });
+
+    this.isInvalidPage('product', 'productInsert');
+
+    const rows = await this.readImageRows();
+    const unmatched = rows.slice();
+
+    const pairs = targets.map(target => {
+        const index = unmatched.findIndex(row => row.path && isSameFileName(row.path, target.name));
+        return index === -1 ? null : unmatched.splice(index, 1)[0];
+    });
+
+    const summary = { added: [], removed: [], sorted: [] };
+
+    for (const row of unmatched) {
+        await this.removeImageRow(row.rowId);
+        if (row.path) summary.removed.push(row.path);
+    }
+
+    for (let i = 0; i < targets.length; i++) {
+        const { name, sortOrder } = targets[i];
+        let row = pairs[i];
+
+        if (!row) {
+            const { rowId, path } = await this.addImageRow(name, dirPath);
+            row = { rowId, path, sortOrder: '' };
+            summary.added.push(path);
+        }
+
+        if ((Number(row.sortOrder) || 0) === sortOrder) continue;
+        if (await this.fillImageRowSortOrder(row.rowId, sortOrder) && pairs[i]) summary.sorted.push(row.path);
+    }
+
+    return summary;
+}
+
+module.exports = function (Cartmin) {
+    Object.assign(Cartmin.prototype, {
+        getSecondaryProductImages,
+        addSecondaryProductImage,
+        removeSecondaryProductImage,
+        setSecondaryProductImageSortOrder,
+        reorderSecondaryProductImages,
+        syncSecondaryProductImages,
+        // private
+        readImageRows,
+        findImageRow,
+        addImageRow,
+        removeImageRow,
+        fillImageRowSortOrder
+    });
+};
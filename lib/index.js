@@ -8,6 +8,18 @@
 const Cartmin = require('./constructor.js');
 require('./navigation.js')(Cartmin);
 require('./file-manager.js')(Cartmin);
+require('./file-sync.js')(Cartmin);
 require('./product.js')(Cartmin);
+require('./catalog.js')(Cartmin);
+require('./category.js')(Cartmin);
+require('./manufacturer.js')(Cartmin);
+require('./option.js')(Cartmin);
+require('./promotion.js')(Cartmin);
+require('./attribute.js')(Cartmin);
+require('./links.js')(Cartmin);
+require('./image.js')(Cartmin);
+require('./image-audit.js')(Cartmin);
+
+Cartmin.Pool = require('./pool.js');
 
 module.exports = Cartmin;
\ No newline at end of file
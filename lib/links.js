@@ -0,0 +1,417 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+const { isSameName } = require('./list.js');
+const { defineHooks } = require('./strategies.js');
+
+/**
+ * Selectors of an autocomplete list of the links tab by the prefix of their names in "productPageSelectors.links".
+ * 
+ * @private
+ * @param {Object} links - "productPageSelectors.links".
+ * @param {string} prefix - "related" or "download".
+ * @returns {{ input: string, options: string, values: string, row: string, removeBtn: string }}
+ */
+function getLinkListSelectors(links, prefix) {
+    return {
+        input: links[`${prefix}Input`],
+        options: links[`${prefix}Options`],
+        values: links[prefix === 'related' ? 'related' : `${prefix}s`],
+        row: links[`${prefix}Row`],
+        removeBtn: links[`${prefix}RemoveBtn`]
+    };
+}
+
+/**
+ * Puppeteer page function to read rows of an autocomplete list, e.g. related products.
+ * 
+ * @private
+ * @param {Object} selectors - see "getLinkListSelectors".
+ * @returns {Array<{ id: string, name: string }>}
+ */
+function getLinkRowsFromDOM(selectors) {
+    return Array.from(document.querySelectorAll(selectors.values)).map(input => ({
+        id: input.value,
+        name: input.closest(selectors.row)?.textContent.trim() ?? ''
+    }));
+}
+
+/**
+ * Puppeteer page function to read checkboxes with their labels, e.g. stores.
+ * 
+ * @private
+ * @param {string} selector - checkboxes.
+ * @returns {Array<{ id: string, name: string, checked: boolean }>}
+ */
+function getLinkCheckboxesFromDOM(selector) {
+    return Array.from(document.querySelectorAll(selector)).map(el => ({
+        id: el.value,
+        name: (el.labels?.[0] ?? el.parentElement).textContent.trim(),
+        checked: el.checked
+    }));
+}
+
+/**
+ * Read rows of an autocomplete list of the links tab.
+ * 
+ * @private
+ * @param {string} prefix - "related" or "download".
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+async function readLinkRows(prefix) {
+    return await this.page.evaluate(getLinkRowsFromDOM, getLinkListSelectors(this.productPageSelectors.links, prefix));
+}
+
+/**
+ * Pick an option of an autocomplete list of the links tab and wait for its row.
+ * 
+ * @private
+ * @param {string} prefix - "related" or "download".
+ * @param {string} name - text to search and pick.
+ * @param {string} label - subject of an Error, e.g. "Download Manual".
+ * @returns {Promise<string>} ID of the added row.
+ */
+async function pickLinkInAutocomplete(prefix, name, label) {
+    const { input, options, values } = getLinkListSelectors(this.productPageSelectors.links, prefix);
+    const ids = await this.page.$$eval(values, els => els.map(el => el.value));
+
+    await this.pickAutocompleteOption(input, options, name, text => isSameName(text, name), label);
+
+    const handle = await this.page.waitForFunction((selector, ids) => {
+        return Array.from(document.querySelectorAll(selector)).find(el => !ids.includes(el.value))?.value;
+    }, {}, values, ids);
+
+    return await handle.jsonValue();
+}
+
+/**
+ * Remove a row of an autocomplete list of the links tab by its button.
+ * 
+ * @private
+ * @param {string} prefix - "related" or "download".
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function removeLinkRow(prefix, id) {
+    const selectors = getLinkListSelectors(this.productPageSelectors.links, prefix);
+
+    await this.page.evaluate((selectors, id) => {
+        const input = Array.from(document.querySelectorAll(selectors.values)).find(el => el.value === id);
+        input?.closest(selectors.row)?.querySelector(selectors.removeBtn)?.click();
+    }, selectors, id);
+
+    await this.page.waitForFunction((selector, id) => {
+        return !Array.from(document.querySelectorAll(selector)).some(el => el.value === id);
+    }, {}, selectors.values, id);
+}
+
+/**
+ * Get related products of a product from the links tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @returns {Promise<Array<{ productId: string, name: string }>>}
+ */
+async function getProductRelated() {
+    this.isInvalidPage('product', 'productInsert');
+
+    await this.navToProductPageTab('links');
+
+    const rows = await this.readLinkRows('related');
+    return rows.map(({ id, name }) => ({ productId: id, name }));
+}
+
+/**
+ * Find products of queries. This is done on a side page, so the current one is kept as it is.
+ * 
+ * @private
+ * @param {Array<string | Object>} queries - see "navToProductPage".
+ * @returns {Promise<Array<{ productId: string, name: string }>>} names are the ones of the first language.
+ */
+async function resolveRelatedProducts(queries) {
+    if (!queries.length) return [];
+
+    return await this.withSidePage(async () => {
+        const products = [];
+
+        for (const query of queries) {
+            await this.navToProductPage(query);
+
+            products.push({
+                productId: new URL(this.page.url()).searchParams.get('product_id'),
+                name: await this.page.$eval(this.productPageSelectors.general.names, el => el.value.trim())
+            });
+        }
+
+        return products;
+    });
+}
+
+/**
+ * Set related products of a product on the links tab.
+ * 
+ * Products are searched like by "navToProductPage", and an Error is thrown if a product is not found or is ambiguous.
+ * A missing product is picked in the autocomplete by its name, and other related products are removed.
+ * Running it again changes nothing.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Array<string | Object>} queries - product IDs (models), or objects with one of the keys: productId, model, name, sku.
+ * @returns {Promise<boolean>} was anything changed?
+ */
+async function setProductRelated(queries) {
+    is.invalidType('queries', 'array', queries);
+    queries.forEach((query, i) => {
+        if (!is.string(query) && !is.object(query)) throw is.invalidTypeError(`queries[${i}]`, 'string', query);
+    });
+
+    const current = await this.getProductRelated();
+
+    // Products of known IDs are not searched when they are related already
+    const findRelated = query => is.object(query) && is.defined(query.productId) ?
+        current.find(product => product.productId === String(query.productId)) : undefined;
+
+    const products = [
+        ...queries.map(findRelated).filter(Boolean),
+        ...await this.resolveRelatedProducts(queries.filter(query => !findRelated(query)))
+    ];
+
+    let changed = false;
+
+    for (const old of current) {
+        if (products.some(product => product.productId === old.productId)) continue;
+
+        await this.removeLinkRow('related', old.productId);
+        changed = true;
+    }
+
+    for (const product of products) {
+        if (current.some(old => old.productId === product.productId)) continue;
+
+        const id = await this.pickLinkInAutocomplete('related', product.name, `Product ${product.name}`);
+
+        // Products with the same name cannot be told apart in the autocomplete
+        if (id !== product.productId) {
+            await this.removeLinkRow('related', id);
+            throw new Error(`Product ${product.name} is ambiguous in the autocomplete. Picked productId ${id} ` +
+                `instead of productId ${product.productId}`);
+        }
+
+        current.push(product);
+        changed = true;
+    }
+
+    return changed;
+}
+
+/**
+ * Get downloads of a product from the links tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @returns {Promise<Array<{ downloadId: string, name: string }>>}
+ */
+async function getProductDownloads() {
+    this.isInvalidPage('product', 'productInsert');
+
+    await this.navToProductPageTab('links');
+
+    return await this.callHook('getProductDownloadRows');
+}
+
+/**
+ * Set downloads of a product on the links tab by their names. Throws an Error if a download is not found.
+ * 
+ * Missing downloads are added, and other ones are removed. Running it again changes nothing.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Array<string>} names
+ * @returns {Promise<boolean>} was anything changed?
+ */
+async function setProductDownloads(names) {
+    is.invalidType('names', 'array', names);
+    names.forEach((name, i) => is.invalidType(`names[${i}]`, 'string', name));
+
+    const current = await this.getProductDownloads();
+    let changed = false;
+
+    for (const old of current) {
+        if (names.some(name => isSameName(old.name, name))) continue;
+
+        await this.callHook('unassignProductDownload', old.downloadId);
+        changed = true;
+    }
+
+    for (const name of names) {
+        if (current.some(old => isSameName(old.name, name))) continue;
+
+        await this.callHook('assignProductDownload', name);
+        current.push({ name });
+        changed = true;
+    }
+
+    return changed;
+}
+
+/**
+ * Hook for OpenCart 1.5: downloads are checkboxes.
+ * 
+ * @private
+ * @returns {Promise<Array<{ downloadId: string, name: string }>>}
+ */
+async function getCheckedDownloads() {
+    const checkboxes = await this.page.evaluate(getLinkCheckboxesFromDOM, this.productPageSelectors.links.downloads);
+
+    return checkboxes.filter(checkbox => checkbox.checked).map(({ id, name }) => ({ downloadId: id, name }));
+}
+
+/**
+ * Hook for OpenCart 1.5: a download is assigned by checking its checkbox.
+ * 
+ * @private
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+async function checkDownload(name) {
+    const { downloads } = this.productPageSelectors.links;
+    const checkboxes = await this.page.evaluate(getLinkCheckboxesFromDOM, downloads);
+    const checkbox = checkboxes.find(checkbox => isSameName(checkbox.name, name));
+
+    if (!checkbox) {
+        throw new Error(`Download ${name} is not found on the links tab`);
+    }
+
+    await this.fillProductFields({ download: `${downloads}[value='${checkbox.id}']` }, { download: true });
+}
+
+/**
+ * Hook for OpenCart 1.5: a download is removed by unchecking its checkbox.
+ * 
+ * @private
+ * @param {string} downloadId
+ * @returns {Promise<void>}
+ */
+async function uncheckDownload(downloadId) {
+    const { downloads } = this.productPageSelectors.links;
+    await this.fillProductFields({ download: `${downloads}[value='${downloadId}']` }, { download: false });
+}
+
+/**
+ * Hook for OpenCart 2.x and later: downloads are rows added through an autocomplete.
+ * 
+ * @private
+ * @returns {Promise<Array<{ downloadId: string, name: string }>>}
+ */
+async function getAutocompleteDownloads() {
+    const rows = await this.readLinkRows('download');
+    return rows.map(({ id, name }) => ({ downloadId: id, name }));
+}
+
+/**
+ * Hook for OpenCart 2.x and later: a download is picked in an autocomplete.
+ * 
+ * @private
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+async function pickDownloadInAutocomplete(name) {
+    await this.pickLinkInAutocomplete('download', name, `Download ${name}`);
+}
+
+/**
+ * Hook for OpenCart 2.x and later: a download is removed by a button of its row.
+ * 
+ * @private
+ * @param {string} downloadId
+ * @returns {Promise<void>}
+ */
+async function removeAutocompleteDownload(downloadId) {
+    await this.removeLinkRow('download', downloadId);
+}
+
+/**
+ * Get stores a product is published to from the links tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @returns {Promise<Array<{ storeId: string, name: string }>>} the main store has ID "0".
+ */
+async function getProductStores() {
+    this.isInvalidPage('product', 'productInsert');
+
+    await this.navToProductPageTab('links');
+
+    const checkboxes = await this.page.evaluate(getLinkCheckboxesFromDOM, this.productPageSelectors.links.stores);
+    return checkboxes.filter(checkbox => checkbox.checked).map(({ id, name }) => ({ storeId: id, name }));
+}
+
+/**
+ * Set stores a product is published to on the links tab. Other stores are unchecked.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Array<string | number>} stores - names or IDs of stores. The main store has ID 0.
+ * @returns {Promise<boolean>} was anything changed?
+ */
+async function setProductStores(stores) {
+    is.invalidType('stores', 'array', stores);
+    stores.forEach((store, i) => {
+        if (!is.string(store) && !is.number(store)) throw is.invalidTypeError(`stores[${i}]`, 'string', store);
+    });
+
+    this.isInvalidPage('product', 'productInsert');
+
+    await this.navToProductPageTab('links');
+
+    const selector = this.productPageSelectors.links.stores;
+    const checkboxes = await this.page.evaluate(getLinkCheckboxesFromDOM, selector);
+
+    const ids = stores.map(store => {
+        const checkbox = checkboxes.find(checkbox => checkbox.id === String(store)) ??
+            checkboxes.find(checkbox => isSameName(checkbox.name, String(store)));
+
+        if (!checkbox) {
+            const available = checkboxes.map(({ id, name }) => `${name} (ID ${id})`).join(', ');
+            throw new Error(`Store ${store} is not found on the links tab. Available stores: ${available}`);
+        }
+
+        return checkbox.id;
+    });
+
+    const changed = await this.fillProductFields({ stores: selector }, { stores: ids });
+    return changed.length > 0;
+}
+
+defineHooks(['1.5'], {
+    getProductDownloadRows: getCheckedDownloads,
+    assignProductDownload: checkDownload,
+    unassignProductDownload: uncheckDownload
+});
+
+defineHooks(['2.x', '3.x', '4.x'], {
+    getProductDownloadRows: getAutocompleteDownloads,
+    assignProductDownload: pickDownloadInAutocomplete,
+    unassignProductDownload: removeAutocompleteDownload
+});
+
+module.exports = function (Cartmin) {
+    Object.assign(Cartmin.prototype, {
+        getProductRelated,
+        setProductRelated,
+        getProductDownloads,
+        setProductDownloads,
+        getProductStores,
+        setProductStores,
+        // private
+        readLinkRows,
+        pickLinkInAutocomplete,
+        removeLinkRow,
+        resolveRelatedProducts
+    });
+};
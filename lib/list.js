@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+/**
+ * Compare names of list entries (e.g. manufacturers or attributes) the way OpenCart users see them.
+ * 
+ * @param {string} name1
+ * @param {string} name2
+ * @returns {boolean}
+ */
+function isSameName(name1, name2) {
+    return name1.trim().toLowerCase() === name2.trim().toLowerCase();
+}
+
+/**
+ * Iterate over entries of all pages of a paginated list, e.g. the catalog.
+ * 
+ * @param {function(number): Promise<Array<Object>>} readPage - reads entries of a page by its number (from 1).
+ * @param {function(Object): string} getId - ID of an entry.
+ * @yields {Object} entries in order of pages.
+ */
+async function* readAllPages(readPage, getId) {
+    let lastFirstId = null;
+
+    for (let pageNumber = 1; ; pageNumber++) {
+        const entries = await readPage(pageNumber);
+
+        // A page after the last one is either empty or a repeated last one
+        if (!entries.length || getId(entries[0]) === lastFirstId) return;
+        lastFirstId = getId(entries[0]);
+
+        yield* entries;
+    }
+}
+
+/**
+ * Add a row to a table of a form by its add button, e.g. a special of a product.
+ * 
+ * @param {Page} page - puppeteer Page.
+ * @param {string} rowsSelector - rows of the table.
+ * @param {string} addBtnSelector
+ * @returns {Promise<string>} ID of the new row, which is the last one.
+ */
+async function addTableRow(page, rowsSelector, addBtnSelector) {
+    const count = await page.$$eval(rowsSelector, els => els.length);
+
+    await page.$eval(addBtnSelector, el => el.click());
+    await page.waitForFunction((selector, count) => {
+        return document.querySelectorAll(selector).length > count;
+    }, {}, rowsSelector, count);
+
+    return await page.$$eval(rowsSelector, els => els[els.length - 1].id);
+}
+
+/**
+ * Remove a row of a table of a form by its remove button.
+ * 
+ * @param {Page} page - puppeteer Page.
+ * @param {string} rowId
+ * @param {string} removeBtnSelector - remove button inside the row.
+ * @returns {Promise<void>}
+ */
+async function removeTableRow(page, rowId, removeBtnSelector) {
+    await page.$eval(`#${rowId} ${removeBtnSelector}`, el => el.click());
+    await page.waitForFunction(rowId => !document.getElementById(rowId), {}, rowId);
+}
+
+module.exports = {
+    isSameName,
+    readAllPages,
+    addTableRow,
+    removeTableRow
+};
\ No newline at end of file
@@ -0,0 +1,405 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+const { isSameName, readAllPages } = require('./list.js');
+const { defineHooks } = require('./strategies.js');
+
+/**
+ * Find a manufacturer by its name among the ones of "listManufacturers".
+ * 
+ * @private
+ * @param {Array<Object>} manufacturers
+ * @param {string} name
+ * @returns {Object}
+ */
+function pickManufacturer(manufacturers, name) {
+    const found = manufacturers.filter(manufacturer => isSameName(manufacturer.name, name));
+
+    if (!found.length) {
+        throw new Error(`Manufacturer ${name} is not found`);
+    }
+    if (found.length > 1) {
+        const candidates = found.map(manufacturer => `manufacturerId ${manufacturer.manufacturerId}`).join(', ');
+        throw new Error(`Manufacturer ${name} is ambiguous. Candidates: ${candidates}`);
+    }
+
+    return found[0];
+}
+
+/**
+ * Puppeteer page function for "listManufacturers".
+ * 
+ * Rows without a checkbox (e.g. "No results") are skipped.
+ * 
+ * @private
+ * @param {Object} selectors - manufacturer list selectors.
+ * @returns {Array<Object>}
+ */
+function getManufacturerRowsFromDOM(selectors) {
+    return Array.from(document.querySelectorAll(selectors.tableRows)).map(row => {
+        const checkbox = row.querySelector(selectors.rowCheckbox);
+        if (!checkbox) return null;
+
+        return {
+            manufacturerId: checkbox.value,
+            name: row.querySelector(selectors.nameCell)?.textContent.trim() ?? '',
+            sortOrder: Number(row.querySelector(selectors.sortOrderCell)?.textContent.trim()) || 0,
+            url: row.querySelector(selectors.linkCell)?.querySelector('a')?.href || ''
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Puppeteer page function to tick the checkboxes of manufacturer rows with specific IDs.
+ * 
+ * @private
+ * @param {Object} selectors - manufacturer list selectors.
+ * @param {Array<string>} ids - manufacturer IDs.
+ * @returns {Array<string>} IDs of ticked rows.
+ */
+function tickManufacturerRowsInDOM(selectors, ids) {
+    const ticked = [];
+
+    for (const row of document.querySelectorAll(selectors.tableRows)) {
+        const checkbox = row.querySelector(selectors.rowCheckbox);
+
+        if (checkbox && ids.includes(checkbox.value)) {
+            checkbox.checked = true;
+            ticked.push(checkbox.value);
+        }
+    }
+
+    return ticked;
+}
+
+/**
+ * Nav to a page of the manufacturer list.
+ * 
+ * @private
+ * @param {number} pageNumber
+ * @returns {Promise<Array<Object>>} rows of the page (see "listManufacturers").
+ */
+async function navToManufacturerListPage(pageNumber) {
+    const url = new URL(this.urls.manufacturerList);
+    url.searchParams.set('page', String(pageNumber));
+
+    const response = await this.page.goto(url.toString(), { waitUntil: 'domcontentloaded' });
+
+    if (!response?.ok()) {
+        throw new Error(`Cannot nav to page ${pageNumber} of the manufacturer list`);
+    }
+
+    return await this.page.evaluate(getManufacturerRowsFromDOM, this.manufacturerListSelectors);
+}
+
+/**
+ * List all manufacturers of the shop.
+ * 
+ * @returns {Promise<Array<{ manufacturerId: string, name: string, sortOrder: number, url: string }>>} URLs are
+ * the ones of edit pages.
+ */
+async function listManufacturers() {
+    const manufacturers = [];
+    const readPage = pageNumber => this.navToManufacturerListPage(pageNumber);
+
+    for await (const row of readAllPages(readPage, row => row.manufacturerId)) {
+        manufacturers.push(row);
+    }
+
+    return manufacturers;
+}
+
+/**
+ * Validate data of "createManufacturer" and "updateManufacturer".
+ * 
+ * @private
+ * @param {Object} data
+ * @returns {void}
+ */
+function validateManufacturerData(data) {
+    is.invalidType('data', 'object', data);
+    is.invalidType('data.keyword', 'string', data.keyword, true);
+    is.invalidType('data.image', 'string', data.image, true);
+    is.invalidType('data.dirPath', 'string', data.dirPath, true);
+    is.invalidType('data.fields', 'object', data.fields, true);
+}
+
+/**
+ * Fill the current manufacturer form.
+ * 
+ * @private
+ * @param {Object} data - see "createManufacturer". Undefined values are skipped.
+ * @returns {Promise<void>}
+ */
+async function fillManufacturerPage(data) {
+    const selectors = this.manufacturerPageSelectors;
+
+    await this.fillProductFields(selectors.fields, { ...data.fields, name: data.name, keyword: data.keyword });
+
+    if (is.defined(data.image)) await this.setFormImage(selectors, data.image, data.dirPath);
+}
+
+/**
+ * Create a new manufacturer and save it.
+ * 
+ * @param {Object} data
+ * @param {string} data.name
+ * @param {string} [data.keyword] - SEO keyword.
+ * @param {string} [data.image] - name.format of a file in a file manager.
+ * @param {string} [data.dirPath] - directory path. Used to nav in a file manager before a file selection.
+ * @param {Object<string, any>} [data.fields] - values by names of "manufacturerPageSelectors.fields",
+ * e.g. { sort_order: 1, manufacturer_store: ['0'] }.
+ * @returns {Promise<{ manufacturerId: string, name: string, url: string }>}
+ */
+async function createManufacturer(data) {
+    validateManufacturerData(data);
+    is.invalidType('data.name', 'string', data.name);
+
+    const manufacturers = await this.listManufacturers();
+
+    const response = await this.page.goto(this.urls.manufacturerInsert, { waitUntil: 'domcontentloaded' });
+
+    if (!response?.ok()) {
+        throw new Error(`Cannot nav to the manufacturer insert page`);
+    }
+
+    await this.fillManufacturerPage(data);
+    await this.callHook('saveForm', this.manufacturerPageSelectors);
+
+    // The new manufacturer is the one that was not listed before
+    const created = (await this.listManufacturers()).find(manufacturer => {
+        return isSameName(manufacturer.name, data.name) &&
+            !manufacturers.some(old => old.manufacturerId === manufacturer.manufacturerId);
+    });
+
+    if (!created) {
+        throw new Error(`Manufacturer ${data.name} is not found after saving`);
+    }
+
+    return { manufacturerId: created.manufacturerId, name: created.name, url: created.url };
+}
+
+/**
+ * Update a manufacturer and save it. Only the given values are changed.
+ * 
+ * @param {string} name - name of the manufacturer.
+ * @param {Object} data - see "createManufacturer". Set data.image="" to clear an image.
+ * @param {string} [data.name]
+ * @returns {Promise<{ manufacturerId: string, name: string, url: string }>} the manufacturer with its new name.
+ */
+async function updateManufacturer(name, data) {
+    is.invalidType('name', 'string', name);
+    validateManufacturerData(data);
+    is.invalidType('data.name', 'string', data.name, true);
+
+    const manufacturer = pickManufacturer(await this.listManufacturers(), name);
+
+    const response = await this.page.goto(manufacturer.url, { waitUntil: 'domcontentloaded' });
+
+    if (!response?.ok()) {
+        throw new Error(`Cannot nav to the page of manufacturer ${manufacturer.name}`);
+    }
+
+    await this.fillManufacturerPage(data);
+    await this.callHook('saveForm', this.manufacturerPageSelectors);
+
+    return { manufacturerId: manufacturer.manufacturerId, name: data.name ?? manufacturer.name, url: manufacturer.url };
+}
+
+/**
+ * Delete manufacturers.
+ * 
+ * All manufacturers with a name are deleted. OpenCart refuses to delete a manufacturer assigned to products,
+ * which throws an Error. Deletion cannot be undone, so it must be confirmed explicitly.
+ * 
+ * @param {Array<string>} names
+ * @param {Object} options
+ * @param {boolean} options.confirm - set this to true to confirm the deletion.
+ * @returns {Promise<Array<boolean>>} were manufacturers of a name found and deleted?
+ */
+async function deleteManufacturers(names, options = {}) {
+    is.invalidType('names', 'array', names);
+    is.invalidType('options', 'object', options);
+
+    if (options.confirm !== true) {
+        throw new Error('Deletion of manufacturers cannot be undone. Pass { confirm: true } to delete them');
+    }
+
+    names.forEach((name, i) => is.invalidType(`names[${i}]`, 'string', name));
+
+    const manufacturers = await this.listManufacturers();
+    const ids = manufacturers.filter(manufacturer => names.some(name => isSameName(manufacturer.name, name)))
+        .map(manufacturer => manufacturer.manufacturerId);
+
+    let pending = ids;
+    let lastFirstId = null;
+
+    // Rows are ticked page by page, and the list is read again from the same page after each deletion
+    for (let pageNumber = 1; pending.length;) {
+        const rows = await this.navToManufacturerListPage(pageNumber);
+
+        if (!rows.length || rows[0].manufacturerId === lastFirstId) break;
+
+        const ticked = await this.page.evaluate(tickManufacturerRowsInDOM, this.manufacturerListSelectors, pending);
+
+        if (!ticked.length) {
+            lastFirstId = rows[0].manufacturerId;
+            pageNumber++;
+            continue;
+        }
+
+        await this.runCatalogAction(this.manufacturerListSelectors.deleteBtn);
+        pending = pending.filter(id => !ticked.includes(id));
+    }
+
+    return names.map(name => manufacturers.some(manufacturer => {
+        return isSameName(manufacturer.name, name) && !pending.includes(manufacturer.manufacturerId);
+    }));
+}
+
+/**
+ * Get the manufacturer name of a product from the links tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @returns {Promise<string>} "" if the product has no manufacturer.
+ */
+async function getProductManufacturer() {
+    this.isInvalidPage('product', 'productInsert');
+
+    await this.navToProductPageTab('links');
+
+    return await this.callHook('getProductManufacturerName');
+}
+
+/**
+ * Set the manufacturer of a product on the links tab by its name. Throws an Error if a manufacturer is not found.
+ * 
+ * The rules of "setProductFields" apply: an old manufacturer is replaced only with overwriteFields=true,
+ * and name="" removes it only with autoDeleteFields=true.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {string} name
+ * @returns {Promise<boolean>} was the manufacturer changed?
+ */
+async function setProductManufacturer(name) {
+    is.invalidType('name', 'string', name);
+
+    const oldName = await this.getProductManufacturer();
+    const { overwriteFields, autoDeleteFields } = this.productPageOptions;
+
+    if (!name) {
+        if (!autoDeleteFields || !oldName) return false;
+    } else if (isSameName(oldName, name) || (oldName && !overwriteFields)) {
+        return false;
+    }
+
+    await this.callHook('setProductManufacturerName', name);
+
+    return true;
+}
+
+/**
+ * Hook for OpenCart 1.5: a manufacturer is an option of a select.
+ * 
+ * @private
+ * @returns {Promise<string>}
+ */
+async function getSelectedManufacturer() {
+    return await this.page.$eval(this.productPageSelectors.links.manufacturer, el => {
+        return el.value && el.value !== '0' ? el.selectedOptions[0].textContent.trim() : '';
+    });
+}
+
+/**
+ * Hook for OpenCart 1.5: a manufacturer is selected by the text of its option.
+ * 
+ * @private
+ * @param {string} name - "" for none.
+ * @returns {Promise<void>}
+ */
+async function selectManufacturer(name) {
+    const selector = this.productPageSelectors.links.manufacturer;
+
+    let value = '0';
+
+    if (name) {
+        const options = await this.page.$eval(selector, el => {
+            return Array.from(el.options).map(option => ({ value: option.value, text: option.textContent }));
+        });
+
+        const option = options.find(option => option.value !== '0' && isSameName(option.text, name));
+
+        if (!option) {
+            throw new Error(`Manufacturer ${name} is not found on the links tab`);
+        }
+        value = option.value;
+    }
+
+    await this.fillProductFields({ manufacturer: selector }, { manufacturer: value });
+}
+
+/**
+ * Hook for OpenCart 2.x and later: a manufacturer is a text input with an autocomplete.
+ * 
+ * @private
+ * @returns {Promise<string>}
+ */
+async function getAutocompleteManufacturer() {
+    const { manufacturerInput, manufacturerId } = this.productPageSelectors.links;
+
+    return await this.page.evaluate((inputSelector, idSelector) => {
+        const id = document.querySelector(idSelector)?.value;
+        return id && id !== '0' ? document.querySelector(inputSelector).value.trim() : '';
+    }, manufacturerInput, manufacturerId);
+}
+
+/**
+ * Hook for OpenCart 2.x and later: a manufacturer is picked in an autocomplete.
+ * 
+ * @private
+ * @param {string} name - "" for none.
+ * @returns {Promise<void>}
+ */
+async function pickManufacturerInAutocomplete(name) {
+    const { manufacturerInput, manufacturerOptions, manufacturerId } = this.productPageSelectors.links;
+
+    if (!name) {
+        await this.page.$eval(manufacturerInput, el => el.value = '');
+        await this.page.$eval(manufacturerId, el => el.value = '0');
+        return;
+    }
+
+    await this.pickAutocompleteOption(manufacturerInput, manufacturerOptions, name,
+        text => isSameName(text, name), `Manufacturer ${name}`);
+}
+
+defineHooks(['1.5'], {
+    getProductManufacturerName: getSelectedManufacturer,
+    setProductManufacturerName: selectManufacturer
+});
+
+defineHooks(['2.x', '3.x', '4.x'], {
+    getProductManufacturerName: getAutocompleteManufacturer,
+    setProductManufacturerName: pickManufacturerInAutocomplete
+});
+
+module.exports = function (Cartmin) {
+    Object.assign(Cartmin.prototype, {
+        listManufacturers,
+        createManufacturer,
+        updateManufacturer,
+        deleteManufacturers,
+        getProductManufacturer,
+        setProductManufacturer,
+        // private
+        navToManufacturerListPage,
+        fillManufacturerPage
+    });
+};
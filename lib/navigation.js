@@ -6,6 +6,10 @@
 'use strict';
 
 const is = require('./is.js');
+const { tokenizeUrl } = require('./url.js');
+
+// Keys of a product query for "navToProductPage" and "findProducts"
+const PRODUCT_QUERY_KEYS = [ 'productId', 'model', 'name', 'sku' ];
 
 async function bypassSecurityWarning() {
     await this.page.waitForSelector('#proceed-button');
@@ -44,61 +48,124 @@ async function navTo(pageName, bypassSecurityWarning = false) {
 }
 
 /**
- * Puppeteer page function for "extractProductPageUrl".
+ * Validate a product query and convert a product ID to a query by model.
  * 
  * @private
- * @param {string} id - product ID.
- * @param {Object} selectors - catalog selectors. 
- * @param {string} selectors.tableRows - rows of the catalog table.
- * @param {string} selectors.modelCell - cell of the table with the model info (ID).
- * @param {string} selectors.linkCell - cell of the table with a link to a product page.
- * @returns {string | null}
+ * @param {string | Object} query
+ * @returns {Object}
  */
-function extractProductPageUrlFromDOM(id, selectors) {
-    const tableRows = document.querySelectorAll(selectors.tableRows);
+function getProductQuery(query) {
+    if (is.string(query)) return { model: query };
 
-    for (const row of tableRows) {
-        const modelCell = row.querySelector(selectors.modelCell);
+    is.invalidType('query', 'object', query);
 
-        if (modelCell?.textContent.trim() === id) {
-            const linkCell = row.querySelector(selectors.linkCell);
-            const aTag = linkCell.querySelector('a');
-            return aTag ? aTag.getAttribute('href') : null;
-        }
+    const keys = Object.keys(query).filter(key => is.defined(query[key]));
+
+    if (keys.length !== 1 || !PRODUCT_QUERY_KEYS.includes(keys[0])) {
+        throw new Error(`Product query must have exactly one of the keys: ${PRODUCT_QUERY_KEYS.join(', ')}`);
+    }
+
+    const value = query[keys[0]];
+    if (!is.string(value) && !is.number(value)) {
+        throw is.invalidTypeError(`query.${keys[0]}`, 'string', value);
     }
+
+    return { [keys[0]]: String(value) };
 }
 
 /**
- * Exctract a product page URL from the catalog.
+ * Describe a product query for error messages.
  * 
  * @private
- * @param {string} id - product ID.
- * @returns {Promise<string>}
+ * @param {Object} query
+ * @returns {string}
  */
-async function extractProductPageUrl(id) {
-    is.invalidType('id', 'string', id);
+function describeProductQuery(query) {
+    const [[key, value]] = Object.entries(query);
+    return `${key} "${value}"`;
+}
 
-    this.isInvalidPage('catalog');
+/**
+ * Find products in the catalog. All catalog pages are searched, and only exact matches are returned.
+ * 
+ * Names are compared case-insensitively. The catalog has no SKU column, so for a SKU every product page
+ * of the catalog is opened until the end, which is slow for a big catalog.
+ * 
+ * @param {string | Object} query - product ID (model), or an object with one of the keys: model, name, sku.
+ * @returns {Promise<Array<{ productId: string, name: string, model: string, url: string }>>} rows of the catalog
+ * (see "listProducts").
+ */
+async function findProducts(query) {
+    query = getProductQuery(query);
 
-    await this.page.$eval(this.catalogSelectors.inputModel, (input, id) => {
-        input.value = id;
-        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
-    }, id);
-    
-    await this.page.waitForFunction(extractProductPageUrlFromDOM, {}, id, this.catalogSelectors);
-    return await this.page.evaluate(extractProductPageUrlFromDOM, id, this.catalogSelectors);
+    if (query.productId) {
+        throw new Error('Products are not searched by productId. Use "navToProductPage" instead');
+    }
+
+    const found = [];
+
+    if (query.model) {
+        for await (const row of this.listProducts({ model: query.model })) {
+            if (row.model === query.model) found.push(row);
+        }
+    } else if (query.name) {
+        const name = query.name.trim().toLowerCase();
+
+        for await (const row of this.listProducts({ name: query.name })) {
+            if (row.name.toLowerCase() === name) found.push(row);
+        }
+    } else {
+        const rows = [];
+        for await (const row of this.listProducts()) rows.push(row);
+
+        for (const row of rows) {
+            await this.page.goto(row.url, { waitUntil: 'domcontentloaded' });
+
+            const sku = await this.page.$eval(this.productPageSelectors.fields.sku, el => el.value.trim());
+            if (sku === query.sku) found.push(row);
+        }
+    }
+
+    return found;
 }
 
 /**
- * nav to a product page by a product ID.
+ * nav to a product page.
+ * 
+ * Throws an Error if no product or several products match the query. Candidates are listed in the latter case.
  * 
- * @param {string} id - product ID.
+ * @param {string | Object} query - product ID (model), or an object with one of the keys: productId, model, name, sku
+ * (see "findProducts").
  * @returns {Promise<void>}
  */
-async function navToProductPage(id) {
-    await this.navTo('catalog');
-    const productPageUrl = await this.extractProductPageUrl(id);
-    await this.page.goto(productPageUrl, { waitUntil: 'domcontentloaded' });
+async function navToProductPage(query) {
+    query = getProductQuery(query);
+
+    if (query.productId) {
+        const url = tokenizeUrl(this.urls.product, this.token, this.config.tokenParam) +
+            '&product_id=' + encodeURIComponent(query.productId);
+
+        const response = await this.page.goto(url, { waitUntil: 'domcontentloaded' });
+        const model = await this.page.$eval(this.productPageSelectors.fields.model, el => el.value).catch(() => '');
+
+        // OpenCart shows an empty form for a product that does not exist
+        if (!response?.ok() || !model) {
+            throw new Error(`Product with ${describeProductQuery(query)} is not found`);
+        }
+        return;
+    }
+
+    const found = await this.findProducts(query);
+
+    if (!found.length) {
+        throw new Error(`Product with ${describeProductQuery(query)} is not found`);
+    }
+    if (found.length > 1) {
+        const candidates = found.map(row => `${row.name} (productId ${row.productId}, model ${row.model})`).join(', ');
+        throw new Error(`Product with ${describeProductQuery(query)} is ambiguous. Candidates: ${candidates}`);
+    }
+
+    await this.page.goto(found[0].url, { waitUntil: 'domcontentloaded' });
 }
 
 /**
@@ -126,8 +193,8 @@ module.exports = function (Cartmin) {
         navTo,
         navToProductPage,
         navToProductPageTab,
+        findProducts,
         // private
-        extractProductPageUrl,
         bypassSecurityWarning
     });
 };
\ No newline at end of file
@@ -0,0 +1,426 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+const { isSameName, addTableRow, removeTableRow } = require('./list.js');
+const { defineHooks } = require('./strategies.js');
+
+// Field names of an option value row by keys of Cartmin
+const OPTION_VALUE_FIELDS = {
+    quantity: 'quantity',
+    subtract: 'subtract',
+    pricePrefix: 'price_prefix',
+    price: 'price',
+    pointsPrefix: 'points_prefix',
+    points: 'points',
+    weightPrefix: 'weight_prefix',
+    weight: 'weight'
+};
+
+// Keys of option values compared as numbers, since OpenCart formats them, e.g. "1.0000"
+const NUMERIC_VALUE_KEYS = [ 'quantity', 'price', 'points', 'weight' ];
+
+// Option types with a list of values. Other types (text, date, file etc.) have a single value.
+const LIST_OPTION_TYPES = [ 'select', 'radio', 'checkbox', 'image' ];
+
+/**
+ * Puppeteer page function to read options of a product page.
+ * 
+ * Options are matched to their panes by the href of their tabs.
+ * 
+ * @private
+ * @param {Object} selectors - option tab selectors.
+ * @param {Object<string, string>} fields - field names of an option value row by keys of Cartmin.
+ * @returns {Array<Object>} values are raw strings of the form.
+ */
+function getProductOptionsFromDOM(selectors, fields) {
+    const getValue = (parent, fieldName) => parent.querySelector(`[name$='[${fieldName}]']`)?.value ?? '';
+
+    return Array.from(document.querySelectorAll(selectors.optionTabs)).map(tab => {
+        const pane = document.getElementById(tab.getAttribute('href').slice(1));
+        if (!pane) return null;
+
+        const values = Array.from(pane.querySelectorAll(selectors.valueRows)).map(row => {
+            // A value is a select before OpenCart 4.0 and a hidden input next to its name since then
+            const idField = row.querySelector("[name$='[option_value_id]']");
+            const name = idField?.tagName === 'SELECT'
+                ? idField.selectedOptions[0]?.textContent
+                : idField?.closest('td')?.textContent;
+
+            const value = { rowId: row.id, name: name?.trim() ?? '' };
+            for (const [key, fieldName] of Object.entries(fields)) value[key] = getValue(row, fieldName);
+
+            return value;
+        });
+
+        return {
+            paneId: pane.id,
+            name: getValue(pane, 'name'),
+            type: getValue(pane, 'type'),
+            required: getValue(pane, 'required'),
+            // "option_value" is a single value in OpenCart 1.5
+            value: pane.querySelector("[name$='][value]'], [name$='][option_value]']")?.value ?? null,
+            values
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Read options of a product page as they are in the form.
+ * 
+ * @private
+ * @returns {Promise<Array<Object>>} see "getProductOptionsFromDOM".
+ */
+async function readProductOptions() {
+    await this.navToProductPageTab('option');
+
+    return await this.page.evaluate(getProductOptionsFromDOM, this.productPageSelectors.option, OPTION_VALUE_FIELDS);
+}
+
+/**
+ * Get options of a product from the option tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @returns {Promise<Array<{
+ *  name: string,
+ *  type: string,
+ *  required: boolean,
+ *  value?: string,
+ *  values?: Array<{
+ *      name: string,
+ *      quantity: number,
+ *      subtract: boolean,
+ *      pricePrefix: string,
+ *      price: number,
+ *      pointsPrefix: string,
+ *      points: number,
+ *      weightPrefix: string,
+ *      weight: number
+ *  }>
+ * }>>} options of a list type (select, radio, checkbox, image) have values, the other ones have a single value.
+ */
+async function getProductOptions() {
+    this.isInvalidPage('product', 'productInsert');
+
+    const options = await this.readProductOptions();
+
+    return options.map(option => {
+        const result = { name: option.name, type: option.type, required: option.required === '1' };
+
+        if (!LIST_OPTION_TYPES.includes(option.type)) {
+            result.value = option.value ?? '';
+            return result;
+        }
+
+        result.values = option.values.map(({ rowId, ...value }) => {
+            for (const key of NUMERIC_VALUE_KEYS) value[key] = Number(value[key]) || 0;
+            value.subtract = value.subtract === '1';
+            return value;
+        });
+
+        return result;
+    });
+}
+
+/**
+ * Validate options of "setProductOptions".
+ * 
+ * @private
+ * @param {Array<Object>} options
+ * @returns {void}
+ */
+function validateOptions(options) {
+    is.invalidType('options', 'array', options);
+
+    options.forEach((option, i) => {
+        is.invalidType(`options[${i}]`, 'object', option);
+        is.invalidType(`options[${i}].name`, 'string', option.name);
+        is.invalidType(`options[${i}].required`, 'boolean', option.required, true);
+        is.invalidType(`options[${i}].value`, 'string', option.value, true);
+        is.invalidType(`options[${i}].values`, 'array', option.values, true);
+
+        option.values?.forEach((value, j) => {
+            const valName = `options[${i}].values[${j}]`;
+
+            is.invalidType(valName, 'object', value);
+            is.invalidType(`${valName}.name`, 'string', value.name);
+            is.invalidType(`${valName}.subtract`, 'boolean', value.subtract, true);
+
+            for (const key of [ 'pricePrefix', 'pointsPrefix', 'weightPrefix' ]) {
+                is.invalidType(`${valName}.${key}`, 'string', value[key], true);
+            }
+            for (const key of NUMERIC_VALUE_KEYS) {
+                if (is.defined(value[key]) && !is.number(value[key]) && !is.string(value[key])) {
+                    throw is.invalidTypeError(`${valName}.${key}`, 'number', value[key]);
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Set options of a product on the option tab.
+ * 
+ * The option tab is synchronized with the given options, so running it again changes nothing:
+ * - options are matched by their names, missing ones are added through an autocomplete, and the other ones are removed;
+ * - values are matched by their names, missing rows are added, the other ones are removed, and only changed fields are set.
+ * 
+ * Undefined properties are left as they are in the form.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Array<{
+ *  name: string,
+ *  required?: boolean,
+ *  value?: string,
+ *  values?: Array<{
+ *      name: string,
+ *      quantity?: number,
+ *      subtract?: boolean,
+ *      pricePrefix?: string,
+ *      price?: number,
+ *      pointsPrefix?: string,
+ *      points?: number,
+ *      weightPrefix?: string,
+ *      weight?: number
+ *  }>
+ * }>} options - names are the ones of catalog options and their values, prefixes are "+" or "-".
+ * A value is set for options of a single value type (text, date etc.), values are set for list types (select, radio etc.).
+ * @returns {Promise<boolean>} was anything changed?
+ */
+async function setProductOptions(options) {
+    validateOptions(options);
+
+    this.isInvalidPage('product', 'productInsert');
+
+    let changed = false;
+
+    for (const option of await this.readProductOptions()) {
+        if (options.some(({ name }) => isSameName(name, option.name))) continue;
+
+        await this.removeProductOption(option.paneId);
+        changed = true;
+    }
+
+    for (const option of options) {
+        let current = (await this.readProductOptions()).find(({ name }) => isSameName(name, option.name));
+
+        if (!current) {
+            await this.addProductOption(option.name);
+            current = (await this.readProductOptions()).pop();
+            changed = true;
+        }
+
+        if (await this.fillProductOption(current, option)) changed = true;
+    }
+
+    return changed;
+}
+
+/**
+ * Add an option through the autocomplete of the option tab. The new option is the last one.
+ * 
+ * @private
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+async function addProductOption(name) {
+    const { optionTabs, input, options } = this.productPageSelectors.option;
+    const count = await this.page.$$eval(optionTabs, els => els.length);
+
+    await this.pickAutocompleteOption(input, options, name, text => isSameName(text, name), `Option ${name}`);
+
+    await this.page.waitForFunction((selector, count) => {
+        return document.querySelectorAll(selector).length > count;
+    }, {}, optionTabs, count);
+}
+
+/**
+ * Remove an option by a button of its tab.
+ * 
+ * @private
+ * @param {string} paneId - ID of the option pane.
+ * @returns {Promise<void>}
+ */
+async function removeProductOption(paneId) {
+    const { optionTabs, removeBtn } = this.productPageSelectors.option;
+
+    await this.page.evaluate((optionTabs, removeBtn, paneId) => {
+        const tab = Array.from(document.querySelectorAll(optionTabs)).find(el => el.getAttribute('href') === `#${paneId}`);
+        tab?.querySelector(removeBtn)?.click();
+    }, optionTabs, removeBtn, paneId);
+
+    await this.page.waitForFunction(paneId => !document.getElementById(paneId), {}, paneId);
+}
+
+/**
+ * Set properties of an option that differ from the ones in the form.
+ * 
+ * @private
+ * @param {Object} current - option of "readProductOptions".
+ * @param {Object} option - option of "setProductOptions".
+ * @returns {Promise<boolean>} was anything changed?
+ */
+async function fillProductOption(current, option) {
+    const pane = `#${current.paneId}`;
+
+    const changedFields = await this.fillProductFields({
+        required: `${pane} [name$='[required]']`,
+        value: `${pane} [name$='][value]'], ${pane} [name$='][option_value]']`
+    }, { required: option.required, value: option.value });
+
+    let changed = changedFields.length > 0;
+
+    if (!option.values) return changed;
+
+    // Rows are paired with values by names in order, so duplicates are kept apart
+    const rows = current.values.slice();
+    const pairs = option.values.map(value => {
+        const index = rows.findIndex(row => isSameName(row.name, value.name));
+        return index === -1 ? null : rows.splice(index, 1)[0];
+    });
+
+    for (const row of rows) {
+        await this.removeOptionValueRow(row.rowId);
+        changed = true;
+    }
+
+    for (let i = 0; i < option.values.length; i++) {
+        const value = option.values[i];
+        const row = pairs[i];
+        const fields = {};
+
+        for (const [key, fieldName] of Object.entries(OPTION_VALUE_FIELDS)) {
+            if (!is.defined(value[key])) continue;
+
+            const newValue = key === 'subtract' ? (value[key] ? '1' : '0') : String(value[key]);
+
+            if (row) {
+                const isSame = NUMERIC_VALUE_KEYS.includes(key)
+                    ? Number(row[key]) === Number(newValue)
+                    : row[key] === newValue;
+
+                if (isSame) continue;
+            }
+
+            fields[fieldName] = newValue;
+        }
+
+        if (row && !Object.keys(fields).length) continue;
+
+        await this.callHook('writeOptionValue', current.paneId, row?.rowId ?? null, row ? null : value.name, fields);
+        changed = true;
+    }
+
+    return changed;
+}
+
+/**
+ * Remove a row of an option value by its button.
+ * 
+ * @private
+ * @param {string} rowId
+ * @returns {Promise<void>}
+ */
+async function removeOptionValueRow(rowId) {
+    await removeTableRow(this.page, rowId, this.productPageSelectors.option.valueRemoveBtn);
+}
+
+/**
+ * Get the value of a select option by its text.
+ * 
+ * @private
+ * @param {string} selector - select.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function getSelectValueByText(selector, text) {
+    const options = await this.page.$eval(selector, el => {
+        return Array.from(el.options).map(option => ({ value: option.value, text: option.textContent }));
+    });
+
+    const option = options.find(option => isSameName(option.text, text));
+
+    if (!option) {
+        throw new Error(`Option value ${text} is not found`);
+    }
+
+    return option.value;
+}
+
+/**
+ * Hook for OpenCart before 4.0: a row of an option value is a set of fields.
+ * 
+ * @private
+ * @param {string} paneId - ID of the option pane.
+ * @param {string | null} rowId - ID of the row, null for a new one.
+ * @param {string | null} name - name of an option value for a new row.
+ * @param {Object<string, string>} fields - values by field names of the row.
+ * @returns {Promise<void>}
+ */
+async function writeOptionValueRow(paneId, rowId, name, fields) {
+    const { valueRows, addValueBtn } = this.productPageSelectors.option;
+
+    if (!rowId) rowId = await addTableRow(this.page, `#${paneId} ${valueRows}`, `#${paneId} ${addValueBtn}`);
+
+    const values = { ...fields };
+    if (name) values.option_value_id = await this.getSelectValueByText(`#${rowId} [name$='[option_value_id]']`, name);
+
+    const selectors = Object.fromEntries(Object.keys(values).map(fieldName => {
+        return [ fieldName, `#${rowId} [name$='[${fieldName}]']` ];
+    }));
+
+    await this.fillProductFields(selectors, values);
+}
+
+/**
+ * Hook for OpenCart 4.x: a row of an option value is edited in a modal.
+ * 
+ * @private
+ * @param {string} paneId - ID of the option pane.
+ * @param {string | null} rowId - ID of the row, null for a new one.
+ * @param {string | null} name - name of an option value for a new row.
+ * @param {Object<string, string>} fields - values by field names of the row.
+ * @returns {Promise<void>}
+ */
+async function writeOptionValueModal(paneId, rowId, name, fields) {
+    const { addValueBtn, valueEditBtn, modal, modalFields, modalSaveBtn } = this.productPageSelectors.option;
+
+    await this.page.$eval(rowId ? `#${rowId} ${valueEditBtn}` : `#${paneId} ${addValueBtn}`, el => el.click());
+    await this.page.waitForSelector(modal, { visible: true });
+
+    const values = { ...fields };
+    if (name) values.option_value_id = await this.getSelectValueByText(modalFields.option_value_id, name);
+
+    await this.fillProductFields(modalFields, values);
+
+    await this.page.$eval(modalSaveBtn, el => el.click());
+    await this.page.waitForSelector(modal, { hidden: true });
+}
+
+defineHooks(['1.5', '2.x', '3.x'], {
+    writeOptionValue: writeOptionValueRow
+});
+
+defineHooks(['4.x'], {
+    writeOptionValue: writeOptionValueModal
+});
+
+module.exports = function (Cartmin) {
+    Object.assign(Cartmin.prototype, {
+        getProductOptions,
+        setProductOptions,
+        // private
+        readProductOptions,
+        addProductOption,
+        removeProductOption,
+        fillProductOption,
+        removeOptionValueRow,
+        getSelectValueByText
+    });
+};
@@ -0,0 +1,123 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const Cartmin = require('./constructor.js');
+const is = require('./is.js');
+
+// Pool of Cartmin workers, each one with its own page of one shared browser and admin session
+class CartminPool {
+    /**
+     * @constructs CartminPool
+     * 
+     * @param {Object} config - configuration object for an OpenCart-based website (see Cartmin).
+     * @param {Object} [options]
+     * @param {number} [options.size=2] - number of workers (pages).
+     * @param {string} [options.version='1.5'] - OpenCart version (see Cartmin).
+     * @returns {CartminPool}
+     */
+    constructor(config, options = {}) {
+        is.invalidType('options', 'object', options);
+        is.invalidType('options.size', 'number', options.size, true);
+        is.invalidType('options.version', 'string', options.version, true);
+
+        const size = options.size ?? 2;
+
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`Pool size must be a positive integer but received ${size}`);
+        }
+
+        this.workers = [];
+
+        for (let i = 0; i < size; i++) {
+            this.workers.push(new Cartmin(config, options.version));
+        }
+    }
+
+    /**
+     * Launch a browser and login to an admin page. Every worker uses the same admin session.
+     * 
+     * @param {string} [pageName='admin'] - page the first worker starts with.
+     * @param {Object} [options] - puppeteer LaunchOptions.
+     * @returns {Promise<void>}
+     */
+    async start(pageName = 'admin', options) {
+        if (this.browser) return;
+
+        // The first worker owns the browser, the others open their pages in it
+        const [owner, ...others] = this.workers;
+        await owner.start(pageName, options);
+
+        // Pages of one browser share cookies, so the others reuse the session of the owner instead of logging in
+        for (const worker of others) {
+            await worker.attach(owner.browser);
+            worker.useSessionOf(owner);
+            await worker.navTo('dashboard', true);
+        }
+    }
+
+    /**
+     * Shared puppeteer Browser.
+     * 
+     * @returns {Browser | null}
+     */
+    get browser() {
+        return this.workers[0].browser;
+    }
+
+    /**
+     * Process items in parallel. Each free worker takes the next item until none is left.
+     * 
+     * A failed task does not stop the others. Its worker forgets a file manager state and goes on.
+     * 
+     * @param {Array<any>} items
+     * @param {function(Cartmin, any, number): Promise<any>} task - called with a worker, an item and its index.
+     * @returns {Promise<Array<{ status: string, value?: any, reason?: any }>>} results in order of items,
+     * in the same shape as the ones of Promise.allSettled.
+     */
+    async run(items, task) {
+        is.invalidType('items', 'array', items);
+        is.invalidType('task', 'function', task);
+
+        if (!this.browser) {
+            throw new Error('Pool is not started');
+        }
+
+        const results = new Array(items.length);
+        let next = 0;
+
+        const work = async worker => {
+            while (next < items.length) {
+                const index = next++;
+
+                try {
+                    results[index] = { status: 'fulfilled', value: await task(worker, items[index], index) };
+                } catch (e) {
+                    results[index] = { status: 'rejected', reason: e };
+                    worker.resetPageState();
+                }
+            }
+        };
+
+        await Promise.all(this.workers.map(work));
+
+        return results;
+    }
+
+    /**
+     * Close the pages of all workers and the browser.
+     * 
+     * @returns {Promise<void>}
+     */
+    async close() {
+        // The owner of the browser is the last one
+        for (const worker of this.workers.slice().reverse()) {
+            await worker.close();
+        }
+    }
+}
+
+module.exports = CartminPool;
\ No newline at end of file
@@ -5,7 +5,12 @@
 
 'use strict';
 
+const { marked } = require('marked');
 const is = require('./is.js');
+const { defineHooks } = require('./strategies.js');
+
+// Data tab fields with free text. The others always have a value in OpenCart: a default number, an option or a date.
+const TEXT_FIELDS = ['model', 'sku', 'upc', 'ean', 'jan', 'isbn', 'mpn', 'location'];
 
 /**
  * Get (index + 1)-th upload button on a product page (tabName) tab.
@@ -16,14 +21,17 @@ const is = require('./is.js');
  * @returns {Promise<ElementHandle>} puppeteer ElementHandle of the button.
  */
 async function getProductPageUploadBtn(tabName, index) {
-    await this.navToProductPageTab(tabName);
-
     const tabSelectors = this.productPageSelectors[tabName];
 
+    await this.navToProductPageTab(tabSelectors.tab || tabName);
+
     switch (tabName) {
         case 'data':
+            if (tabSelectors.thumb) return await this.openImagePopover(tabSelectors.thumb, 0, tabSelectors.uploadBtn);
             return await this.page.$(tabSelectors.uploadBtn);
         case 'image':
+            if (tabSelectors.thumbs) return await this.openImagePopover(tabSelectors.thumbs, index, tabSelectors.uploadBtns);
+
             await this.page.waitForFunction((selector, index) => {
                 return document.querySelectorAll(selector)?.[index];
             }, {}, tabSelectors.uploadBtns, index);
@@ -33,6 +41,286 @@ async function getProductPageUploadBtn(tabName, index) {
     }
 }
 
+/**
+ * Click an (index + 1)-th image thumbnail to open its popover (OpenCart 2.x and 3.x) and get a button of the popover.
+ * 
+ * @private
+ * @param {string} thumbsSelector
+ * @param {number} index
+ * @param {string} btnSelector
+ * @returns {Promise<ElementHandle>} puppeteer ElementHandle of the button.
+ */
+async function openImagePopover(thumbsSelector, index, btnSelector) {
+    await this.page.waitForFunction((selector, index) => {
+        return document.querySelectorAll(selector)?.[index];
+    }, {}, thumbsSelector, index);
+
+    const thumbs = await this.page.$$(thumbsSelector);
+    await thumbs[index].click();
+
+    return await this.page.waitForSelector(btnSelector, { visible: true });
+}
+
+/**
+ * Search an autocomplete (OpenCart 2.x and later) and pick one of its options.
+ * 
+ * @private
+ * @param {string} inputSelector
+ * @param {string} optionsSelector - options of the autocomplete dropdown.
+ * @param {string} query - text to type.
+ * @param {function(string): boolean} isMatch - called with a text of an option.
+ * @param {string} label - what is searched, for an error message, e.g. "Category Shoes".
+ * @returns {Promise<void>}
+ */
+async function pickAutocompleteOption(inputSelector, optionsSelector, query, isMatch, label) {
+    await this.page.$eval(inputSelector, el => el.value = '');
+    await this.page.$$eval(optionsSelector, els => els.forEach(el => el.remove()));
+
+    const ignoreTimeout = e => {
+        if (e.name !== 'TimeoutError') throw e;
+    };
+
+    // Every typed character sends a request, so options are read after the one for the whole query
+    const response = this.page.waitForResponse(res => new URL(res.url()).searchParams.get('filter_name') === query,
+        { timeout: 10000 }).catch(ignoreTimeout);
+    await this.page.type(inputSelector, query);
+    await response;
+
+    await this.page.waitForSelector(optionsSelector, { timeout: 5000 }).catch(ignoreTimeout);
+
+    const offered = await this.page.$$eval(optionsSelector, els => els.map(el => el.textContent.trim()));
+    const index = offered.findIndex(isMatch);
+
+    if (index === -1) {
+        throw new Error(`${label} is not found by the autocomplete. Offered: ${offered.join(', ') || 'none'}`);
+    }
+
+    const options = await this.page.$$(optionsSelector);
+    await options[index].click();
+}
+
+/**
+ * Fill a selector template of "productPageSelectors" with a language ID.
+ * 
+ * @private
+ * @param {string} template - selector with "{language}" placeholders.
+ * @param {string} languageId
+ * @returns {string}
+ */
+function languageSelector(template, languageId) {
+    return template.replaceAll('{language}', languageId);
+}
+
+/**
+ * Puppeteer page function for "getProductLanguages".
+ * 
+ * @private
+ * @param {string} selector - language tabs.
+ * @returns {Array<{ id: string, code: string, name: string }>}
+ */
+function getProductLanguagesFromDOM(selector) {
+    return Array.from(document.querySelectorAll(selector)).map(tab => {
+        const img = tab.querySelector('img');
+        const src = img?.getAttribute('src') || '';
+
+        return {
+            id: tab.getAttribute('href')?.match(/(\d+)$/)?.[1] || '',
+            // Flags are "language/en-gb/en-gb.png" since OpenCart 2.2 and "view/image/flags/gb.png" before
+            code: src.match(/language\/([^/]+)\//)?.[1] || src.match(/flags\/([^/.]+)\./)?.[1] || '',
+            name: (img?.getAttribute('title') || tab.textContent).trim()
+        };
+    }).filter(language => language.id);
+}
+
+/**
+ * Get languages of a product page. They are discovered from the language tabs of the general tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @returns {Promise<Array<{ id: string, code: string, name: string }>>}
+ */
+async function getProductLanguages() {
+    this.isInvalidPage('product', 'productInsert');
+
+    return await this.page.evaluate(getProductLanguagesFromDOM, this.productPageSelectors.general.languageTabs);
+}
+
+/**
+ * Get the ID of a product page language.
+ * 
+ * @private
+ * @param {string | number} [language] - language ID, code (e.g. "en-gb" or just "en") or name. The first language is default.
+ * @returns {Promise<string>}
+ */
+async function resolveProductLanguage(language) {
+    if (is.defined(language) && !is.string(language) && !is.number(language)) {
+        throw is.invalidTypeError('language', 'string', language);
+    }
+
+    const languages = await this.getProductLanguages();
+
+    // Without language tabs only the default language exists
+    if (!languages.length) return is.defined(language) ? String(language) : '1';
+    if (!is.defined(language)) return languages[0].id;
+
+    const query = String(language).toLowerCase();
+    const found = languages.find(({ id, code, name }) => {
+        return id === query || code.toLowerCase() === query ||
+            code.toLowerCase().startsWith(query + '-') || name.toLowerCase() === query;
+    });
+
+    if (!found) {
+        const available = languages.map(({ id, code, name }) => `${name} (ID ${id}, code ${code})`).join(', ');
+        throw new Error(`Language ${language} is not found on the product page. Available languages: ${available}`);
+    }
+
+    return found.id;
+}
+
+/**
+ * Get a puppeteer Frame and a selector of an editable element of a description editor.
+ * 
+ * @private
+ * @param {string | number} [language] - see "resolveProductLanguage".
+ * @returns {Promise<{ frame: Frame, selector: string }>}
+ */
+async function getDescriptionEditor(language) {
+    const languageId = await this.resolveProductLanguage(language);
+
+    await this.navToProductPageTab('general');
+
+    await this.page.evaluate((selector, languageId) => {
+        const tabs = Array.from(document.querySelectorAll(selector));
+        tabs.find(tab => tab.getAttribute('href')?.match(/(\d+)$/)?.[1] === languageId)?.click();
+    }, this.productPageSelectors.general.languageTabs, languageId);
+
+    return await this.callHook('resolveEditor', languageId);
+}
+
+/**
+ * Hook for CKEditor (OpenCart 1.5 and 4.x), whose editable body is inside an iframe.
+ * 
+ * @private
+ * @param {string} languageId
+ * @returns {Promise<{ frame: Frame, selector: string }>}
+ */
+async function resolveFrameEditor(languageId) {
+    const { editor, editorTextArea } = this.productPageSelectors.general;
+    const editorElement = await this.page.waitForSelector(languageSelector(editor, languageId));
+
+    return { frame: await editorElement.contentFrame(), selector: languageSelector(editorTextArea, languageId) };
+}
+
+/**
+ * Hook for Summernote (OpenCart 2.x and 3.x), whose editable element is a part of the page itself.
+ * 
+ * @private
+ * @param {string} languageId
+ * @returns {Promise<{ frame: Frame, selector: string }>}
+ */
+async function resolveInlineEditor(languageId) {
+    const { editor, editorTextArea } = this.productPageSelectors.general;
+    await this.page.waitForSelector(languageSelector(editor, languageId));
+
+    return { frame: this.page.mainFrame(), selector: languageSelector(editorTextArea, languageId) };
+}
+
+/**
+ * Hook for CKEditor (OpenCart 1.5 and 4.x): set HTML through the API of an editor instance.
+ * 
+ * A textarea of the description is updated too, so it is used as a fallback when there is no editor.
+ * 
+ * @private
+ * @param {string} languageId
+ * @param {string} html
+ * @param {Object} [selectors] - general tab selectors of a form. The ones of a product page are default.
+ * @returns {Promise<void>}
+ */
+async function setCKEditorHtml(languageId, html, selectors = this.productPageSelectors.general) {
+    const { editorInstance, descriptionTextArea } = selectors;
+
+    await this.page.evaluate((instanceName, textAreaSelector, html) => {
+        const textArea = document.querySelector(textAreaSelector);
+        if (textArea) textArea.value = html;
+
+        const editor = window.CKEDITOR?.instances[instanceName];
+        if (!editor) return;
+
+        return new Promise(resolve => editor.setData(html, () => {
+            editor.updateElement();
+            resolve();
+        }));
+    }, languageSelector(editorInstance, languageId), languageSelector(descriptionTextArea, languageId), html);
+}
+
+/**
+ * Hook for CKEditor (OpenCart 1.5 and 4.x): get HTML through the API of an editor instance.
+ * 
+ * @private
+ * @param {string} languageId
+ * @param {Object} [selectors] - general tab selectors of a form. The ones of a product page are default.
+ * @returns {Promise<string>}
+ */
+async function getCKEditorHtml(languageId, selectors = this.productPageSelectors.general) {
+    const { editorInstance, descriptionTextArea } = selectors;
+
+    return await this.page.evaluate((instanceName, textAreaSelector) => {
+        const editor = window.CKEDITOR?.instances[instanceName];
+        return editor ? editor.getData() : document.querySelector(textAreaSelector)?.value ?? '';
+    }, languageSelector(editorInstance, languageId), languageSelector(descriptionTextArea, languageId));
+}
+
+/**
+ * Hook for Summernote (OpenCart 2.x and 3.x): set HTML through the jQuery plugin of a textarea.
+ * 
+ * @private
+ * @param {string} languageId
+ * @param {string} html
+ * @param {Object} [selectors] - general tab selectors of a form. The ones of a product page are default.
+ * @returns {Promise<void>}
+ */
+async function setSummernoteHtml(languageId, html, selectors = this.productPageSelectors.general) {
+    await this.page.evaluate((textAreaSelector, html) => {
+        const textArea = document.querySelector(textAreaSelector);
+        if (!textArea) return;
+
+        textArea.value = html;
+        if (window.jQuery?.fn.summernote) window.jQuery(textArea).summernote('code', html);
+    }, languageSelector(selectors.descriptionTextArea, languageId), html);
+}
+
+/**
+ * Hook for Summernote (OpenCart 2.x and 3.x): get HTML through the jQuery plugin of a textarea.
+ * 
+ * @private
+ * @param {string} languageId
+ * @param {Object} [selectors] - general tab selectors of a form. The ones of a product page are default.
+ * @returns {Promise<string>}
+ */
+async function getSummernoteHtml(languageId, selectors = this.productPageSelectors.general) {
+    return await this.page.evaluate(textAreaSelector => {
+        const textArea = document.querySelector(textAreaSelector);
+        if (!textArea) return '';
+
+        return window.jQuery?.fn.summernote ? window.jQuery(textArea).summernote('code') : textArea.value;
+    }, languageSelector(selectors.descriptionTextArea, languageId));
+}
+
+/**
+ * Get a product description as HTML.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {string | number} [language] - language ID, code or name. The first language of the page is default.
+ * @returns {Promise<string>}
+ */
+async function getProductDescription(language) {
+    this.isInvalidPage('product', 'productInsert');
+
+    const languageId = await this.resolveProductLanguage(language);
+    return await this.callHook('getEditorHtml', languageId);
+}
+
 /**
  * Fill a product description.
  * 
@@ -40,25 +328,42 @@ async function getProductPageUploadBtn(tabName, index) {
  * - with description="" and overrideDescription=true or
  * - deleteProductDescription instead for explicit handling.
  * 
+ * With descriptionFormat "html" or "markdown" the description is set through the API of an editor instead of typing,
+ * so markup is kept, and "getProductDescription" reads it back through the same API.
+ * 
  * @param {string} description
+ * @param {string | number} [language] - language ID, code or name. The first language of the page is default.
  * @returns {Promise<boolean>} was the description overridden?
  */
-async function fillProductDescription(description) {
+async function fillProductDescription(description, language) {
     is.invalidType('description', 'string', description);
 
     if (!description) {
         if (this.productPageOptions.autoDeleteDescription) {
-            await this.deleteProductDescription();
+            await this.deleteProductDescription(language);
             return true;
         }
         return false;
     }
 
-    await this.navToProductPageTab('general');
+    const { descriptionFormat } = this.productPageOptions;
 
-    const { editor, editorTextArea } = this.productPageSelectors.general;
-    const editorElement = await this.page.waitForSelector(editor);
-    const editorFrame = await editorElement.contentFrame();
+    if (descriptionFormat !== 'text') {
+        this.isInvalidPage('product', 'productInsert');
+
+        const languageId = await this.resolveProductLanguage(language);
+        const oldDescription = await this.callHook('getEditorHtml', languageId);
+        const hasDescription = oldDescription.replace(/<[^>]*>|&nbsp;/g, '').trim();
+
+        if (!this.productPageOptions.overwriteDescription && hasDescription) return false;
+
+        const html = descriptionFormat === 'markdown' ? marked.parse(description) : description;
+        await this.callHook('setEditorHtml', languageId, html);
+
+        return true;
+    }
+
+    const { frame: editorFrame, selector: editorTextArea } = await this.getDescriptionEditor(language);
     const oldDescription = await editorFrame.$eval(editorTextArea, el => el.textContent);
     const hasDescription = oldDescription.trim();
 
@@ -71,14 +376,18 @@ async function fillProductDescription(description) {
 }
 
 /**
+ * @param {string | number} [language] - language ID, code or name. The first language of the page is default.
  * @returns {Promise<void>}
  */
-async function deleteProductDescription() {
-    await this.navToProductPageTab('general');
+async function deleteProductDescription(language) {
+    if (this.productPageOptions.descriptionFormat !== 'text') {
+        this.isInvalidPage('product', 'productInsert');
 
-    const { editor, editorTextArea } = this.productPageSelectors.general;
-    const editorElement = await this.page.waitForSelector(editor);
-    const editorFrame = await editorElement.contentFrame();
+        await this.callHook('setEditorHtml', await this.resolveProductLanguage(language), '');
+        return;
+    }
+
+    const { frame: editorFrame, selector: editorTextArea } = await this.getDescriptionEditor(language);
 
     await editorFrame.$eval(editorTextArea, el => el.textContent = '');
 }
@@ -107,13 +416,14 @@ async function uploadMainProductImage(imgName, dirPath) {
         return false;
     }
 
-    await this.navToProductPageTab('data');
-
-    const mainImageSelector = this.productPageSelectors.data.image;
+    const dataSelectors = this.productPageSelectors.data;
+    await this.navToProductPageTab(dataSelectors.tab || 'data');
 
-    const hasMainImage = await this.page.$eval(mainImageSelector,
-        (el, placeholder) => el.getAttribute('src') !== placeholder,
-        this.config.placeholderImage);
+    const hasMainImage = dataSelectors.input
+        ? await this.page.$eval(dataSelectors.input, el => !!el.value)
+        : await this.page.$eval(dataSelectors.image,
+            (el, placeholder) => el.getAttribute('src') !== placeholder,
+            this.config.placeholderImage);
 
     if (!this.productPageOptions.overwriteMainImage && hasMainImage) return false;
 
@@ -126,12 +436,20 @@ async function uploadMainProductImage(imgName, dirPath) {
  * @returns {Promise<void>}
  */
 async function deleteMainProductImage() {
-    await this.navToProductPageTab('data');
-
     const dataSelectors = this.productPageSelectors.data;
-    const deleteBtn = await this.page.$(dataSelectors.deleteBtn);
+    await this.navToProductPageTab(dataSelectors.tab || 'data');
+
+    const deleteBtn = dataSelectors.thumb
+        ? await this.openImagePopover(dataSelectors.thumb, 0, dataSelectors.deleteBtn)
+        : await this.page.$(dataSelectors.deleteBtn);
     await deleteBtn.click();
 
+    if (dataSelectors.input) {
+        await this.page.waitForFunction(selector => !document.querySelector(selector).value,
+            {}, dataSelectors.input);
+        return;
+    }
+
     await this.page.waitForFunction((selector, placeholder) => {
         const img = document.querySelector(selector);
         return img.getAttribute('src') === placeholder;
@@ -145,6 +463,8 @@ async function deleteMainProductImage() {
  * - with imgName="" and overrideSecondaryImages=true or
  * - deleteSecondaryProductImages instead for explicit handling.
  * 
+ * Old images are deleted and all new ones are added again. Use syncSecondaryProductImages to keep unchanged rows.
+ * 
  * @param {Array<string>} imgNames - name.format (just name is not recommended). If this parameter is a path,
  * then it will be converted to name.format.
  * @param {Array<string>} [dirPath] - directory path. Used to nav in a file manager before a file selection.
@@ -165,9 +485,11 @@ async function uploadSecondaryProductImages(imgNames, dirPath) {
     await this.navToProductPageTab('image');
 
     const tabSelector = this.productPageSelectors.image;
-    const hasImage = await this.page.$$eval(tabSelector.images,
-        (els, placeholder) => Array.from(els).find(img => img.getAttribute('src') !== placeholder),
-        this.config.placeholderImage);
+    const hasImage = tabSelector.inputs
+        ? await this.page.$$eval(tabSelector.inputs, els => els.some(el => !!el.value))
+        : await this.page.$$eval(tabSelector.images,
+            (els, placeholder) => Array.from(els).find(img => img.getAttribute('src') !== placeholder),
+            this.config.placeholderImage);
 
     if (!this.productPageOptions.overwriteSecondaryImages && hasImage) return false;
     
@@ -215,14 +537,332 @@ async function deleteSecondaryProductImages() {
 }
 
 /**
- * Save changes made to a product page and nav to the catalog page.
+ * Puppeteer page function to get a value of a product page field.
+ * 
+ * Text inputs, textareas and selects give their values. Checkboxes give their values when checked and "" otherwise.
+ * Radios give the value of the checked one.
+ * 
+ * @private
+ * @param {string} selector
+ * @returns {string | null} null if the field does not exist.
+ */
+function getFieldValueFromDOM(selector) {
+    const elements = Array.from(document.querySelectorAll(selector));
+
+    if (!elements.length) return null;
+
+    const [element] = elements;
+
+    switch (element.type) {
+        case 'radio':
+            return elements.find(el => el.checked)?.value ?? '';
+        case 'checkbox':
+            return element.checked ? element.value : '';
+        default:
+            return element.value;
+    }
+}
+
+/**
+ * Puppeteer page function to set a value of a product page field.
+ * 
+ * Values are compared and set as strings, booleans are converted to "1" and "0".
+ * A single checkbox is checked by any value except "" and "0". An array value checks the matching boxes of a group.
+ * 
+ * @private
+ * @param {string} selector
+ * @param {string | number | boolean | Array<string | number>} value
+ * @returns {string} "missing" if the field does not exist, "invalid" if a select does not have such an option,
+ * "changed" or "unchanged" otherwise.
+ */
+function setFieldValueInDOM(selector, value) {
+    const elements = Array.from(document.querySelectorAll(selector));
+
+    if (!elements.length) return 'missing';
+
+    const values = (Array.isArray(value) ? value : [value])
+        .map(val => val === true ? '1' : val === false ? '0' : String(val));
+    const changed = [];
+
+    const setProperty = (el, property, val) => {
+        if (el[property] === val) return;
+        el[property] = val;
+        changed.push(el);
+    };
+
+    const [element] = elements;
+
+    switch (element.type) {
+        case 'checkbox':
+            if (elements.length === 1 && !Array.isArray(value)) {
+                setProperty(element, 'checked', !['', '0'].includes(values[0]));
+                break;
+            }
+        // falls through
+        case 'radio':
+            elements.forEach(el => setProperty(el, 'checked', values.includes(el.value)));
+            break;
+        case 'select-one':
+            if (!Array.from(element.options).some(option => option.value === values[0])) return 'invalid';
+        // falls through
+        default:
+            setProperty(element, 'value', values[0]);
+    }
+
+    changed.forEach(el => el.dispatchEvent(new Event('change', { bubbles: true })));
+
+    return changed.length ? 'changed' : 'unchanged';
+}
+
+/**
+ * Set values of product page fields.
+ * 
+ * Current page must be a product one.
+ * 
+ * @private
+ * @param {Object<string, string>} selectors - selectors by field names, e.g. "productPageSelectors.fields".
+ * @param {Object<string, any>} values - values by field names (see "setFieldValueInDOM").
+ * @returns {Promise<Array<string>>} names of changed fields.
+ */
+async function fillProductFields(selectors, values) {
+    is.invalidType('values', 'object', values);
+
+    const changed = [];
+
+    for (const [fieldName, value] of Object.entries(values)) {
+        if (!is.defined(value)) continue;
+
+        if (!selectors[fieldName]) {
+            throw new Error(`Interaction with a ${fieldName} field is not supported by the current version of Cartmin`);
+        }
+
+        const status = await this.page.evaluate(setFieldValueInDOM, selectors[fieldName], value);
+
+        if (status === 'missing') {
+            throw new Error(`Selector ${selectors[fieldName]} of a ${fieldName} field do not match any element`);
+        }
+        if (status === 'invalid') {
+            throw new Error(`${value} is not a valid option of a ${fieldName} field`);
+        }
+        if (status === 'changed') changed.push(fieldName);
+    }
+
+    return changed;
+}
+
+/**
+ * Set values of data tab fields (see "productPageSelectors.fields" for the supported ones).
+ * 
+ * A text field (model, sku, upc, ean, jan, isbn, mpn, location) with an old value is overwritten only with
+ * overwriteFields=true. The other fields (numbers, selects, checkboxes and dates) are always overwritten,
+ * since OpenCart fills them with defaults.
+ * An empty new value ("" or null) clears a field only with autoDeleteFields=true, otherwise it is skipped.
+ * Checkboxes are checked by any value except "", "0" and false.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Object<string, string | number | boolean | null>} values - values by field names,
+ * e.g. { price: '19.99', quantity: 5, status: true }.
+ * @returns {Promise<Array<string>>} names of fields that were actually changed.
+ */
+async function setProductFields(values) {
+    is.invalidType('values', 'object', values);
+
+    this.isInvalidPage('product', 'productInsert');
+
+    return await this.setProductFieldValues(this.productPageSelectors.fields, values, TEXT_FIELDS);
+}
+
+/**
+ * Set values of fields by the rules of "setProductFields".
+ * 
+ * @private
+ * @param {Object<string, string>} selectors - selectors by field names.
+ * @param {Object<string, any>} values - values by field names.
+ * @param {Array<string>} textFields - names of fields whose old values are kept without overwriteFields.
+ * @returns {Promise<Array<string>>} names of changed fields.
+ */
+async function setProductFieldValues(selectors, values, textFields) {
+    const { overwriteFields, autoDeleteFields } = this.productPageOptions;
+    const newValues = {};
+
+    for (const [fieldName, value] of Object.entries(values)) {
+        if (!selectors[fieldName]) {
+            throw new Error(`Interaction with a ${fieldName} field is not supported by the current version of Cartmin`);
+        }
+
+        const oldValue = await this.page.evaluate(getFieldValueFromDOM, selectors[fieldName]);
+
+        if (value === '' || value === null) {
+            if (autoDeleteFields && oldValue) newValues[fieldName] = '';
+            continue;
+        }
+
+        if (!overwriteFields && oldValue && textFields.includes(fieldName)) continue;
+
+        newValues[fieldName] = value;
+    }
+
+    return await this.fillProductFields(selectors, newValues);
+}
+
+/**
+ * Set values of language-specific fields of the general tab (see "productPageSelectors.general.languageFields").
+ * 
+ * The rules of "setProductFields" apply. In OpenCart before 3.0 an SEO keyword is common for all languages.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Object<string, string | null>} values - values by field names: name, metaTitle (since OpenCart 2.0),
+ * metaDescription, metaKeyword, tag, keyword.
+ * @param {string | number} [language] - language ID, code or name. The first language of the page is default.
+ * @returns {Promise<Array<string>>} names of fields that were actually changed.
+ */
+async function setProductLanguageFields(values, language) {
+    is.invalidType('values', 'object', values);
+
+    this.isInvalidPage('product', 'productInsert');
+
+    const languageId = await this.resolveProductLanguage(language);
+    const selectors = Object.fromEntries(Object.entries(this.productPageSelectors.general.languageFields)
+        .map(([fieldName, template]) => [fieldName, languageSelector(template, languageId)]));
+
+    // All of them are text fields
+    return await this.setProductFieldValues(selectors, values, Object.keys(selectors));
+}
+
+/**
+ * @param {string} name
+ * @param {string | number} [language] - language ID, code or name. The first language of the page is default.
+ * @returns {Promise<boolean>} was the name changed?
+ */
+async function setProductName(name, language) {
+    return (await this.setProductLanguageFields({ name }, language)).length > 0;
+}
+
+/**
+ * @param {string} metaDescription
+ * @param {string | number} [language] - language ID, code or name. The first language of the page is default.
+ * @returns {Promise<boolean>} was the meta description changed?
+ */
+async function setProductMetaDescription(metaDescription, language) {
+    return (await this.setProductLanguageFields({ metaDescription }, language)).length > 0;
+}
+
+/**
+ * @param {string} metaKeyword
+ * @param {string | number} [language] - language ID, code or name. The first language of the page is default.
+ * @returns {Promise<boolean>} were the meta keywords changed?
+ */
+async function setProductMetaKeywords(metaKeyword, language) {
+    return (await this.setProductLanguageFields({ metaKeyword }, language)).length > 0;
+}
+
+/**
+ * @param {string | Array<string>} tags - comma separated tags or an array of them.
+ * @param {string | number} [language] - language ID, code or name. The first language of the page is default.
+ * @returns {Promise<boolean>} were the tags changed?
+ */
+async function setProductTags(tags, language) {
+    const tag = is.array(tags) ? tags.join(', ') : tags;
+    return (await this.setProductLanguageFields({ tag }, language)).length > 0;
+}
+
+/**
+ * @param {string} keyword - SEO keyword. In OpenCart before 3.0 it is common for all languages.
+ * @param {string | number} [language] - language ID, code or name. The first language of the page is default.
+ * @returns {Promise<boolean>} was the SEO keyword changed?
+ */
+async function setProductSeoKeyword(keyword, language) {
+    return (await this.setProductLanguageFields({ keyword }, language)).length > 0;
+}
+
+/**
+ * Puppeteer page function for "getProduct".
+ * 
+ * @private
+ * @param {Object} selectors - product page selectors.
+ * @returns {Object}
+ */
+function getProductFromDOM(selectors) {
+    const descriptions = {};
+    for (const textarea of document.querySelectorAll(selectors.general.descriptions)) {
+        const languageId = textarea.name.match(/\[(\d+)\]/)?.[1];
+        if (languageId) descriptions[languageId] = textarea.value;
+    }
+
+    const secondaryImages = Array.from(document.querySelectorAll(selectors.image.rows)).map(row => ({
+        path: row.querySelector(selectors.image.rowPath)?.value || '',
+        sortOrder: Number(row.querySelector(selectors.image.rowSortOrder)?.value) || 0
+    })).filter(image => image.path);
+
+    return {
+        descriptions,
+        mainImage: document.querySelector(selectors.data.path)?.value || '',
+        secondaryImages
+    };
+}
+
+/**
+ * Get a snapshot of a product page as it is saved in the shop.
+ * 
+ * Values are read from the form fields, so unsaved changes made by Cartmin to a description are not included.
+ * 
+ * @param {string | Object} id - product ID (model) or a product query (see "navToProductPage").
+ * @returns {Promise<{
+ *  productId: string,
+ *  url: string,
+ *  descriptions: Object<string, string>,
+ *  mainImage: string,
+ *  secondaryImages: Array<{ path: string, sortOrder: number }>,
+ *  fields: Object<string, string>
+ * }>} descriptions are HTML by language ID, images are paths relative to the image directory,
+ * fields are values of the data tab by names of "productPageSelectors.fields".
+ */
+async function getProduct(id) {
+    await this.navToProductPage(id);
+
+    const product = await this.page.evaluate(getProductFromDOM, this.productPageSelectors);
+
+    const fields = {};
+    for (const [fieldName, selector] of Object.entries(this.productPageSelectors.fields)) {
+        const value = await this.page.evaluate(getFieldValueFromDOM, selector);
+        if (value !== null) fields[fieldName] = value;
+    }
+
+    const url = this.page.url();
+
+    return {
+        productId: new URL(url).searchParams.get('product_id') || '',
+        url,
+        ...product,
+        fields
+    };
+}
+
+/**
+ * Save changes made to a product page.
+ * 
+ * Before OpenCart 4.0 saving also navs to the catalog page. Since 4.0 a product page is saved by AJAX and stays open.
  * 
  * @returns {Promise<void>}
  */
 async function saveProductPageChanges() {
-    this.isInvalidPage('product');
-    
-    const saveBtn = await this.page.$(this.productPageSelectors.saveBtn);
+    this.isInvalidPage('product', 'productInsert');
+
+    await this.callHook('saveForm', this.productPageSelectors);
+}
+
+/**
+ * Hook for OpenCart before 4.0: a form is submitted with a redirect to a list page.
+ * 
+ * @private
+ * @param {Object} selectors - selectors of a form page, e.g. "productPageSelectors".
+ * @param {string} selectors.saveBtn
+ * @returns {Promise<void>}
+ */
+async function submitFormPage(selectors) {
+    const saveBtn = await this.page.$(selectors.saveBtn);
 
     const [response] = await Promise.all([
         this.page.waitForNavigation({ waitUntil: 'domcontentloaded' }),
@@ -230,8 +870,115 @@ async function saveProductPageChanges() {
     ]);
 
     if (!response?.ok()) {
-        throw new Error(`Cannot nav to the catalog page after saving changes`);
+        throw new Error(`Cannot nav to the list page after saving changes`);
+    }
+}
+
+/**
+ * Hook for OpenCart 4.x: a form is posted by AJAX, and the result is shown as an alert.
+ * 
+ * @private
+ * @param {Object} selectors - selectors of a form page, e.g. "productPageSelectors".
+ * @param {string} selectors.saveBtn
+ * @param {string} selectors.alert
+ * @returns {Promise<void>}
+ */
+async function postFormPage(selectors) {
+    const { saveBtn, alert } = selectors;
+
+    await this.page.$eval(alert, el => el.innerHTML = '');
+    await this.page.click(saveBtn);
+
+    const alertElement = await this.page.waitForSelector(`${alert} .alert`);
+    const [isSuccess, message] = await alertElement.evaluate(el => {
+        return [el.classList.contains('alert-success'), el.textContent.trim()];
+    });
+
+    if (!isSuccess) {
+        throw new Error(`Cannot save changes of the page: ${message}`);
+    }
+}
+
+defineHooks(['1.5'], {
+    resolveEditor: resolveFrameEditor,
+    setEditorHtml: setCKEditorHtml,
+    getEditorHtml: getCKEditorHtml,
+    saveForm: submitFormPage
+});
+
+defineHooks(['2.x', '3.x'], {
+    resolveEditor: resolveInlineEditor,
+    setEditorHtml: setSummernoteHtml,
+    getEditorHtml: getSummernoteHtml,
+    saveForm: submitFormPage
+});
+
+defineHooks(['4.x'], {
+    resolveEditor: resolveFrameEditor,
+    setEditorHtml: setCKEditorHtml,
+    getEditorHtml: getCKEditorHtml,
+    saveForm: postFormPage
+});
+
+/**
+ * Create a new product through the insert form and save it.
+ * 
+ * @param {Object} data
+ * @param {string} data.model
+ * @param {string} data.name - name for every language of the shop. It is used as a meta title as well where one is required.
+ * @param {string} [data.description]
+ * @param {Object<string, any>} [data.fields] - values of the data tab by names of "productPageSelectors.fields".
+ * @param {Object<string, any>} [data.links] - values of the links tab by names of "productPageSelectors.linkFields",
+ * e.g. { manufacturer_id: '5', product_store: ['0'] }.
+ * @param {string} [data.mainImage] - name.format of a file in a file manager.
+ * @param {Array<string>} [data.secondaryImages] - name.format of files in a file manager.
+ * @param {string} [data.dirPath] - directory path. Used to nav in a file manager before a file selection.
+ * @returns {Promise<{ productId: string, url: string }>} ID and edit URL of the new product.
+ */
+async function createProduct(data) {
+    is.invalidType('data', 'object', data);
+    is.invalidType('data.model', 'string', data.model);
+    is.invalidType('data.name', 'string', data.name);
+    is.invalidType('data.description', 'string', data.description, true);
+    is.invalidType('data.fields', 'object', data.fields, true);
+    is.invalidType('data.links', 'object', data.links, true);
+    is.invalidType('data.mainImage', 'string', data.mainImage, true);
+    is.invalidType('data.secondaryImages', 'array', data.secondaryImages, true);
+    is.invalidType('data.dirPath', 'string', data.dirPath, true);
+
+    const response = await this.page.goto(this.urls.productInsert, { waitUntil: 'domcontentloaded' });
+
+    if (!response?.ok()) {
+        throw new Error(`Cannot nav to the product insert page`);
     }
+
+    // General tab
+    const { names, metaTitles } = this.productPageSelectors.general;
+    await this.page.$$eval(metaTitles ? `${names}, ${metaTitles}` : names, (els, name) => {
+        els.forEach(el => el.value = name);
+    }, data.name);
+
+    if (data.description) await this.fillProductDescription(data.description);
+
+    // Data and links tabs
+    await this.fillProductFields(this.productPageSelectors.fields, { ...data.fields, model: data.model });
+    if (data.links) await this.fillProductFields(this.productPageSelectors.linkFields, data.links);
+
+    // Image tab
+    if (data.mainImage) await this.uploadMainProductImage(data.mainImage, data.dirPath);
+    if (data.secondaryImages?.length) await this.uploadSecondaryProductImages(data.secondaryImages, data.dirPath);
+
+    await this.saveProductPageChanges();
+
+    // The new product is found in the catalog by its model. If the model is not unique, the new product has the greatest ID.
+    const [newest] = (await this.findProducts({ model: data.model }))
+        .sort((a, b) => Number(b.productId) - Number(a.productId));
+
+    if (!newest) {
+        throw new Error(`Product with model ${data.model} is not found in the catalog after saving`);
+    }
+
+    return { productId: newest.productId, url: newest.url };
 }
 
 /**
@@ -239,7 +986,7 @@ async function saveProductPageChanges() {
  * 
  * @param {string} id - product ID.
  * @param {string} description - new product description.
- * @param {Array<string>} imagePaths - new product images. The first successfully uploaded one will be used as the main. 
+ * @param {Array<string>} imagePaths - new product images. The first one uploaded (or kept by the upload conflict policy) will be used as the main. 
  * @param {Array<string>} [dirPath] - directory path. If not present, all product images will be uploaded in the top directory.
  */
 async function fillProductPage(id, description, imagePaths, dirPath) {
@@ -249,7 +996,9 @@ async function fillProductPage(id, description, imagePaths, dirPath) {
     
     await this.openFileManager();
     await this.navInFileManager(dirPath);
-    const uploaded = await this.uploadFilesToFileManager(imagePaths);
+    const uploaded = (await this.uploadFilesToFileManager(imagePaths))
+        .filter(result => result.name)
+        .map(result => result.name);
     
     await this.closeFileManager();
     
@@ -264,13 +1013,30 @@ module.exports = function (Cartmin) {
     Object.assign(Cartmin.prototype, {
         fillProductDescription,
         deleteProductDescription,
+        getProductDescription,
         uploadMainProductImage,
         deleteMainProductImage,
         uploadSecondaryProductImages,
         deleteSecondaryProductImages,
         saveProductPageChanges,
         fillProductPage,
+        getProduct,
+        createProduct,
+        setProductFields,
+        getProductLanguages,
+        setProductLanguageFields,
+        setProductName,
+        setProductMetaDescription,
+        setProductMetaKeywords,
+        setProductTags,
+        setProductSeoKeyword,
         //private
-        getProductPageUploadBtn
+        resolveProductLanguage,
+        setProductFieldValues,
+        fillProductFields,
+        getProductPageUploadBtn,
+        openImagePopover,
+        pickAutocompleteOption,
+        getDescriptionEditor
     });
 };
\ No newline at end of file
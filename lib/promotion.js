@@ -0,0 +1,345 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+const { addTableRow, removeTableRow } = require('./list.js');
+
+// Field names of a special or discount row by keys of Cartmin. Specials have no quantity.
+const PROMOTION_FIELDS = {
+    customerGroup: 'customer_group_id',
+    quantity: 'quantity',
+    priority: 'priority',
+    price: 'price',
+    dateStart: 'date_start',
+    dateEnd: 'date_end'
+};
+
+// Keys of rows compared as numbers, since OpenCart formats them, e.g. "9.9900"
+const NUMERIC_PROMOTION_KEYS = [ 'quantity', 'priority', 'price' ];
+
+/**
+ * OpenCart before 4.0 keeps an empty date as "0000-00-00".
+ * 
+ * @private
+ * @param {string} date
+ * @returns {string}
+ */
+function normalizeDate(date) {
+    return date === '0000-00-00' ? '' : date.trim();
+}
+
+/**
+ * Puppeteer page function to read special or discount rows.
+ * 
+ * @private
+ * @param {string} rowsSelector
+ * @param {Object<string, string>} fields - field names of a row by keys of Cartmin.
+ * @returns {Array<Object>} values are raw strings of the form, customer groups have both ID and name.
+ */
+function getPromotionRowsFromDOM(rowsSelector, fields) {
+    return Array.from(document.querySelectorAll(rowsSelector)).map(row => {
+        const result = { rowId: row.id };
+
+        for (const [key, fieldName] of Object.entries(fields)) {
+            const field = row.querySelector(`[name$='[${fieldName}]']`);
+            if (field) result[key] = field.value;
+        }
+
+        const groupSelect = row.querySelector(`[name$='[${fields.customerGroup}]']`);
+        result.customerGroupId = result.customerGroup;
+        result.customerGroup = groupSelect?.selectedOptions?.[0]?.textContent.trim() ?? result.customerGroup;
+
+        return result;
+    });
+}
+
+/**
+ * Read special or discount rows of a product page as they are in the form.
+ * 
+ * @private
+ * @param {string} tabName - "special" or "discount".
+ * @returns {Promise<Array<Object>>} see "getPromotionRowsFromDOM".
+ */
+async function readPromotionRows(tabName) {
+    await this.navToProductPageTab(tabName);
+
+    return await this.page.evaluate(getPromotionRowsFromDOM, this.productPageSelectors[tabName].rows, PROMOTION_FIELDS);
+}
+
+/**
+ * Get special or discount rows of a product page.
+ * 
+ * @private
+ * @param {string} tabName - "special" or "discount".
+ * @returns {Promise<Array<Object>>} see "getProductDiscounts".
+ */
+async function getPromotionRows(tabName) {
+    this.isInvalidPage('product', 'productInsert');
+
+    const rows = await this.readPromotionRows(tabName);
+
+    return rows.map(({ rowId, customerGroupId, ...row }) => {
+        for (const key of NUMERIC_PROMOTION_KEYS) {
+            if (is.defined(row[key])) row[key] = Number(row[key]) || 0;
+        }
+        row.dateStart = normalizeDate(row.dateStart ?? '');
+        row.dateEnd = normalizeDate(row.dateEnd ?? '');
+
+        return row;
+    });
+}
+
+/**
+ * Get specials of a product from the special tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @returns {Promise<Array<{ customerGroup: string, priority: number, price: number, dateStart: string, dateEnd: string }>>}
+ * see "getProductDiscounts".
+ */
+async function getProductSpecials() {
+    return await this.getPromotionRows('special');
+}
+
+/**
+ * Get quantity discounts of a product from the discount tab.
+ * 
+ * Current page must be a product one.
+ * 
+ * @returns {Promise<Array<{
+ *  customerGroup: string,
+ *  quantity: number,
+ *  priority: number,
+ *  price: number,
+ *  dateStart: string,
+ *  dateEnd: string
+ * }>>} customer groups are names, dates are YYYY-MM-DD or "" without a limit.
+ */
+async function getProductDiscounts() {
+    return await this.getPromotionRows('discount');
+}
+
+/**
+ * Validate rows of "setProductSpecials" and "setProductDiscounts".
+ * 
+ * @private
+ * @param {Array<Object>} rows
+ * @param {boolean} hasQuantity
+ * @returns {void}
+ */
+function validatePromotionRows(rows, hasQuantity) {
+    is.invalidType('rows', 'array', rows);
+
+    rows.forEach((row, i) => {
+        is.invalidType(`rows[${i}]`, 'object', row);
+        is.invalidType(`rows[${i}].dateStart`, 'string', row.dateStart, true);
+        is.invalidType(`rows[${i}].dateEnd`, 'string', row.dateEnd, true);
+
+        if (!is.string(row.customerGroup) && !is.number(row.customerGroup)) {
+            throw is.invalidTypeError(`rows[${i}].customerGroup`, 'string', row.customerGroup);
+        }
+        if (!hasQuantity && is.defined(row.quantity)) {
+            throw new Error(`rows[${i}].quantity is not supported, since OpenCart specials have no quantity`);
+        }
+
+        for (const key of NUMERIC_PROMOTION_KEYS) {
+            const isRequired = key === 'price' || (key === 'quantity' && hasQuantity);
+
+            if (!is.defined(row[key]) && !isRequired) continue;
+            if (!is.number(row[key]) && !is.string(row[key])) {
+                throw is.invalidTypeError(`rows[${i}].${key}`, 'number', row[key]);
+            }
+        }
+    });
+}
+
+/**
+ * Set special or discount rows of a product page.
+ * 
+ * Rows are matched by their customer group, quantity and dates. Matched rows get a new priority and price,
+ * and missing ones are added. With overwrite=true the other rows are removed, otherwise they are kept.
+ * 
+ * @private
+ * @param {string} tabName - "special" or "discount".
+ * @param {Array<Object>} rows - see "setProductDiscounts".
+ * @param {boolean} overwrite
+ * @returns {Promise<boolean>} was anything changed?
+ */
+async function setPromotionRows(tabName, rows, overwrite) {
+    this.isInvalidPage('product', 'productInsert');
+
+    const current = await this.readPromotionRows(tabName);
+    const unmatched = current.slice();
+
+    const isSameGroup = (row, customerGroup) => {
+        const group = String(customerGroup).trim().toLowerCase();
+        return row.customerGroupId === group || row.customerGroup.toLowerCase() === group;
+    };
+
+    const pairs = rows.map(row => {
+        const index = unmatched.findIndex(old => {
+            return isSameGroup(old, row.customerGroup) &&
+                (!is.defined(old.quantity) || Number(old.quantity) === Number(row.quantity)) &&
+                normalizeDate(old.dateStart) === normalizeDate(row.dateStart ?? '') &&
+                normalizeDate(old.dateEnd) === normalizeDate(row.dateEnd ?? '');
+        });
+
+        return index === -1 ? null : unmatched.splice(index, 1)[0];
+    });
+
+    let changed = false;
+
+    if (overwrite) {
+        for (const old of unmatched) {
+            await this.removePromotionRow(tabName, old.rowId);
+            changed = true;
+        }
+    }
+
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const old = pairs[i];
+        const fields = {};
+
+        for (const [key, fieldName] of Object.entries(PROMOTION_FIELDS)) {
+            if (!is.defined(row[key])) continue;
+            if (old && [ 'customerGroup', 'quantity', 'dateStart', 'dateEnd' ].includes(key)) continue;
+            if (old && Number(old[key]) === Number(row[key])) continue;
+
+            fields[fieldName] = String(row[key]);
+        }
+
+        if (!Object.keys(fields).length) continue;
+
+        const rowId = old?.rowId ?? await this.addPromotionRow(tabName);
+        await this.fillPromotionRow(rowId, fields);
+        changed = true;
+    }
+
+    return changed;
+}
+
+/**
+ * Add an empty special or discount row.
+ * 
+ * @private
+ * @param {string} tabName - "special" or "discount".
+ * @returns {Promise<string>} ID of the new row.
+ */
+async function addPromotionRow(tabName) {
+    const { rows, addBtn } = this.productPageSelectors[tabName];
+    return await addTableRow(this.page, rows, addBtn);
+}
+
+/**
+ * Remove a special or discount row by its button.
+ * 
+ * @private
+ * @param {string} tabName - "special" or "discount".
+ * @param {string} rowId
+ * @returns {Promise<void>}
+ */
+async function removePromotionRow(tabName, rowId) {
+    await removeTableRow(this.page, rowId, this.productPageSelectors[tabName].removeBtn);
+}
+
+/**
+ * Fill fields of a special or discount row. A customer group is selected by its name or ID.
+ * 
+ * @private
+ * @param {string} rowId
+ * @param {Object<string, string>} fields - values by field names of the row.
+ * @returns {Promise<void>}
+ */
+async function fillPromotionRow(rowId, fields) {
+    const values = { ...fields };
+    const groupSelector = `#${rowId} [name$='[${PROMOTION_FIELDS.customerGroup}]']`;
+
+    if (is.defined(values[PROMOTION_FIELDS.customerGroup])) {
+        const group = values[PROMOTION_FIELDS.customerGroup].trim().toLowerCase();
+        const groupId = await this.page.$eval(groupSelector, (el, group) => {
+            const option = Array.from(el.options).find(option => {
+                return option.value === group || option.textContent.trim().toLowerCase() === group;
+            });
+            return option?.value ?? null;
+        }, group);
+
+        if (groupId === null) {
+            throw new Error(`Customer group ${fields[PROMOTION_FIELDS.customerGroup]} is not found`);
+        }
+        values[PROMOTION_FIELDS.customerGroup] = groupId;
+    }
+
+    const selectors = Object.fromEntries(Object.keys(values).map(fieldName => {
+        return [ fieldName, `#${rowId} [name$='[${fieldName}]']` ];
+    }));
+
+    await this.fillProductFields(selectors, values);
+}
+
+/**
+ * Set specials of a product on the special tab.
+ * 
+ * Rows are matched by their customer group and dates. A matched row gets a new priority and price, and a missing one is added.
+ * Other rows are kept, or removed with overwriteSpecials=true. Running it again changes nothing.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Array<{
+ *  customerGroup: string | number,
+ *  priority?: number,
+ *  price: number,
+ *  dateStart?: string,
+ *  dateEnd?: string
+ * }>} rows - customer groups are names or IDs, dates are YYYY-MM-DD or "" without a limit.
+ * @returns {Promise<boolean>} was anything changed?
+ */
+async function setProductSpecials(rows) {
+    validatePromotionRows(rows, false);
+
+    return await this.setPromotionRows('special', rows, this.productPageOptions.overwriteSpecials);
+}
+
+/**
+ * Set quantity discounts of a product on the discount tab.
+ * 
+ * Rows are matched by their customer group, quantity and dates. A matched row gets a new priority and price,
+ * and a missing one is added. Other rows are kept, or removed with overwriteDiscounts=true. Running it again changes nothing.
+ * 
+ * Current page must be a product one.
+ * 
+ * @param {Array<{
+ *  customerGroup: string | number,
+ *  quantity: number,
+ *  priority?: number,
+ *  price: number,
+ *  dateStart?: string,
+ *  dateEnd?: string
+ * }>} rows - customer groups are names or IDs, dates are YYYY-MM-DD or "" without a limit.
+ * @returns {Promise<boolean>} was anything changed?
+ */
+async function setProductDiscounts(rows) {
+    validatePromotionRows(rows, true);
+
+    return await this.setPromotionRows('discount', rows, this.productPageOptions.overwriteDiscounts);
+}
+
+module.exports = function (Cartmin) {
+    Object.assign(Cartmin.prototype, {
+        getProductSpecials,
+        getProductDiscounts,
+        setProductSpecials,
+        setProductDiscounts,
+        // private
+        readPromotionRows,
+        getPromotionRows,
+        setPromotionRows,
+        addPromotionRow,
+        removePromotionRow,
+        fillPromotionRow
+    });
+};
@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+/**
+ * Registry of version-specific behavior that cannot be expressed as selectors in version-config.json.
+ * 
+ * Feature modules register their hooks here for the versions they support.
+ * An instance of Cartmin calls them with "callHook", so "this" inside a hook is the instance itself.
+ */
+const registry = {};
+
+/**
+ * Register hooks for specific OpenCart versions (keys of version-config.json).
+ * 
+ * Hooks registered later override earlier ones with the same name.
+ * 
+ * @param {Array<string>} versions
+ * @param {Object<string, function>} hooks
+ * @returns {void}
+ */
+function defineHooks(versions, hooks) {
+    for (const version of versions) {
+        registry[version] = Object.assign(registry[version] || {}, hooks);
+    }
+}
+
+/**
+ * @param {string} version
+ * @param {string} hookName
+ * @returns {function | undefined}
+ */
+function getHook(version, hookName) {
+    return registry[version]?.[hookName];
+}
+
+module.exports = {
+    defineHooks,
+    getHook
+};
\ No newline at end of file
@@ -24,13 +24,20 @@ function getBaseUrl(url) {
  * Exctract a token from a URL of any admin page.
  * 
  * @param {string} url
+ * @param {string} [param='token'] - name of the token parameter ("user_token" since OpenCart 3.0).
  * @returns {string}
  */
-function extractToken(url) {
+function extractToken(url, param = 'token') {
     is.invalidType('url', 'string', url);
+    is.invalidType('param', 'string', param);
 
-    const tokenStr = url.match(/token=\w*/)[0];
-    return tokenStr.replace('token=', '');
+    const match = url.match(new RegExp(`[?&]${param}=(\\w*)`));
+
+    if (!match) {
+        throw new Error(`${url} does not contain a ${param} parameter`);
+    }
+
+    return match[1];
 }
 
 /**
@@ -40,14 +47,16 @@ function extractToken(url) {
  * 
  * @param {string} url
  * @param {string} token
+ * @param {string} [param='token'] - name of the token parameter ("user_token" since OpenCart 3.0).
  * @returns {string}
  */
-function tokenizeUrl(url, token) {
+function tokenizeUrl(url, token, param = 'token') {
     is.invalidType('url', 'string', url);
     is.invalidType('token', 'string', token);
+    is.invalidType('param', 'string', param);
 
-    const clearedUrl = url.replace(/&token=\w*$/, '');
-    return clearedUrl + '&token=' + token;
+    const clearedUrl = url.replace(new RegExp(`&${param}=\\w*$`), '');
+    return clearedUrl + `&${param}=` + token;
 }
 
 module.exports = {
@@ -0,0 +1,67 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+const v_config = require('./version-config.json');
+
+/**
+ * Find a profile of version-config.json for an OpenCart version.
+ * 
+ * Accepts a profile name ("3.x") or a full version string ("3.0.3.8"), which is matched by its major and minor parts.
+ * 
+ * @param {string} version
+ * @returns {string | null} profile name.
+ */
+function resolveVersion(version) {
+    is.invalidType('version', 'string', version);
+
+    const [major, minor] = version.split('.');
+    const candidates = [version, `${major}.${minor}`, `${major}.x`];
+
+    return candidates.find(name => Object.hasOwn(v_config, name)) || null;
+}
+
+/**
+ * Get the name of the token parameter used in a URL of an admin page.
+ * 
+ * @param {string} url
+ * @returns {string | null}
+ */
+function getTokenParam(url) {
+    is.invalidType('url', 'string', url);
+
+    const params = new URL(url).searchParams;
+    const tokenParams = new Set(Object.values(v_config).map(profile => profile.tokenParam));
+
+    return Array.from(tokenParams).find(param => params.has(param)) || null;
+}
+
+/**
+ * Find profiles of version-config.json that fit signals collected from an admin page.
+ * 
+ * A version string from a footer is the most reliable signal, so the other ones are used only without it.
+ * 
+ * @param {Object} signals
+ * @param {string | null} signals.footerVersion - version string from a page footer.
+ * @param {Array<string>} signals.markups - profiles whose "markupSelector" matches the page.
+ * @param {string | null} signals.tokenParam - name of the token parameter in a page URL.
+ * @returns {Array<string>} profile names.
+ */
+function matchVersions(signals) {
+    if (signals.footerVersion) {
+        const profile = resolveVersion(signals.footerVersion);
+        return profile ? [profile] : [];
+    }
+
+    return signals.markups.filter(name => !signals.tokenParam || v_config[name].tokenParam === signals.tokenParam);
+}
+
+module.exports = {
+    resolveVersion,
+    getTokenParam,
+    matchVersions
+};
\ No newline at end of file
@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitFileManagerPath, getFreeFileName, matchesPattern } = require('../lib/file-path.js');
+
+test('splitFileManagerPath splits a nested path', () => {
+    assert.deepStrictEqual(splitFileManagerPath('shoes/red/boot.jpg'), { dirPath: 'shoes/red', name: 'boot.jpg' });
+});
+
+test('splitFileManagerPath returns the top directory for a name', () => {
+    assert.deepStrictEqual(splitFileManagerPath('boot.jpg'), { dirPath: '', name: 'boot.jpg' });
+});
+
+test('splitFileManagerPath returns an empty name for the top directory', () => {
+    assert.deepStrictEqual(splitFileManagerPath(''), { dirPath: '', name: '' });
+});
+
+test('getFreeFileName adds the first free suffix', () => {
+    assert.strictEqual(getFreeFileName('red.jpg', ['red.jpg']), 'red-1.jpg');
+    assert.strictEqual(getFreeFileName('red.jpg', ['red.jpg', 'red-1.jpg', 'red-2.jpg']), 'red-3.jpg');
+});
+
+test('getFreeFileName keeps only the last extension', () => {
+    assert.strictEqual(getFreeFileName('red.shoes.png', ['red.shoes.png']), 'red.shoes-1.png');
+});
+
+test('matchesPattern matches a pattern without "/" against the name only', () => {
+    assert.ok(matchesPattern('shoes/red.jpg', '*.jpg'));
+    assert.ok(!matchesPattern('shoes/red.png', '*.jpg'));
+    assert.ok(matchesPattern('red1.jpg', 'red?.jpg'));
+});
+
+test('matchesPattern matches a pattern with "/" against the whole path', () => {
+    assert.ok(matchesPattern('shoes/red.jpg', 'shoes/*.jpg'));
+    assert.ok(!matchesPattern('shoes/men/red.jpg', 'shoes/*.jpg'));
+    assert.ok(matchesPattern('shoes/men/red.jpg', 'shoes/**.jpg'));
+});
+
+test('matchesPattern matches "**/" against zero or more directories', () => {
+    assert.ok(matchesPattern('shoes/red.jpg', 'shoes/**/*.jpg'));
+    assert.ok(matchesPattern('shoes/men/sale/red.jpg', 'shoes/**/*.jpg'));
+    assert.ok(!matchesPattern('bags/red.jpg', 'shoes/**/*.jpg'));
+    assert.ok(matchesPattern('red.jpg', '**/*.jpg'));
+    assert.ok(matchesPattern('shoes/men/red.jpg', '**/*.jpg'));
+});
+
+test('matchesPattern escapes special characters of a string pattern', () => {
+    assert.ok(matchesPattern('red (1).jpg', 'red (1).jpg'));
+    assert.ok(!matchesPattern('redX1).jpg', 'red (1).jpg'));
+    assert.ok(!matchesPattern('red.jpgx', '*.jpg'));
+});
+
+test('matchesPattern tests a RegExp against the whole path', () => {
+    assert.ok(matchesPattern('shoes/red.jpg', /^shoes\//));
+});
+
+test('matchesPattern gives the same result for a global RegExp on every call', () => {
+    const pattern = /\.jpg$/g;
+
+    assert.ok(matchesPattern('shoes/red.jpg', pattern));
+    assert.ok(matchesPattern('shoes/red.jpg', pattern));
+    assert.ok(matchesPattern('blue.jpg', pattern));
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { sniffImage, slugifyFileName, getUploadRuleError } = require('../lib/image-file.js');
+
+// Headers of images are enough to recognize them, the rest is padding
+const pad = buffer => Buffer.concat([ buffer, Buffer.alloc(32) ]);
+
+const png = (width, height) => {
+    const header = Buffer.alloc(24);
+    Buffer.from('89504e470d0a1a0a', 'hex').copy(header);
+    header.writeUInt32BE(13, 8);
+    header.write('IHDR', 12, 'ascii');
+    header.writeUInt32BE(width, 16);
+    header.writeUInt32BE(height, 20);
+    return pad(header);
+};
+
+const jpeg = (width, height) => {
+    const app0 = Buffer.from([ 0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00 ]);
+    const sof0 = Buffer.from([ 0xFF, 0xC0, 0x00, 0x11, 0x08, 0, 0, 0, 0 ]);
+    sof0.writeUInt16BE(height, 5);
+    sof0.writeUInt16BE(width, 7);
+    return pad(Buffer.concat([ Buffer.from([ 0xFF, 0xD8 ]), app0, sof0 ]));
+};
+
+const gif = (width, height) => {
+    const header = Buffer.alloc(10);
+    header.write('GIF89a', 0, 'ascii');
+    header.writeUInt16LE(width, 6);
+    header.writeUInt16LE(height, 8);
+    return pad(header);
+};
+
+const webpVp8x = (width, height) => {
+    const header = Buffer.alloc(30);
+    header.write('RIFF', 0, 'ascii');
+    header.write('WEBP', 8, 'ascii');
+    header.write('VP8X', 12, 'ascii');
+    header.writeUIntLE(width - 1, 24, 3);
+    header.writeUIntLE(height - 1, 27, 3);
+    return pad(header);
+};
+
+const RULES = {
+    extensions: [ 'jpg', 'jpeg', 'png' ],
+    mimeTypes: [ 'image/jpeg', 'image/png' ],
+    maxSize: 1000,
+    maxWidth: 800,
+    maxHeight: null,
+    minNameLength: 6,
+    maxNameLength: 20,
+    namePattern: '^[a-z0-9.\\-]+$'
+};
+
+test('sniffImage recognizes formats and sizes by contents', () => {
+    assert.deepStrictEqual(sniffImage(png(640, 480)), { mime: 'image/png', width: 640, height: 480 });
+    assert.deepStrictEqual(sniffImage(jpeg(1024, 768)), { mime: 'image/jpeg', width: 1024, height: 768 });
+    assert.deepStrictEqual(sniffImage(gif(16, 8)), { mime: 'image/gif', width: 16, height: 8 });
+    assert.deepStrictEqual(sniffImage(webpVp8x(300, 200)), { mime: 'image/webp', width: 300, height: 200 });
+});
+
+test('sniffImage returns null for other contents', () => {
+    assert.strictEqual(sniffImage(pad(Buffer.from('not an image'))), null);
+    assert.strictEqual(sniffImage(Buffer.alloc(4)), null);
+});
+
+test('sniffImage throws for a non-Buffer', () => {
+    assert.throws(() => sniffImage('image'), /Expected type Buffer/);
+});
+
+test('slugifyFileName makes a name safe', () => {
+    assert.strictEqual(slugifyFileName('Red Shoes (new).JPG'), 'red-shoes-new.jpg');
+    assert.strictEqual(slugifyFileName('Café Crème.png'), 'cafe-creme.png');
+});
+
+test('slugifyFileName transliterates Cyrillic letters', () => {
+    assert.strictEqual(slugifyFileName('Червоні черевики.jpg'), 'chervoni-chereviki.jpg');
+    assert.strictEqual(slugifyFileName('Йогурт.png'), 'yogurt.png');
+});
+
+test('slugifyFileName falls back when nothing is left of a name', () => {
+    assert.strictEqual(slugifyFileName('???.png'), 'file.png');
+    assert.strictEqual(slugifyFileName('***.png', 'image'), 'image.png');
+});
+
+test('getUploadRuleError passes a valid file', () => {
+    assert.strictEqual(getUploadRuleError('red.png', 500, sniffImage(png(640, 480)), RULES), null);
+});
+
+test('getUploadRuleError reports the first broken rule', () => {
+    const image = sniffImage(png(640, 480));
+
+    assert.match(getUploadRuleError('red.gif', 500, image, RULES), /Extension "gif" is not allowed/);
+    assert.match(getUploadRuleError('red.png', 500, null, RULES), /not a recognized image/);
+    assert.match(getUploadRuleError('red.png', 500, sniffImage(gif(1, 1)), RULES), /image\/gif is not allowed/);
+    assert.match(getUploadRuleError('red.jpg', 500, image, RULES), /does not match the image type image\/png/);
+    assert.match(getUploadRuleError('red.png', 2000, image, RULES), /exceeds 1000 bytes/);
+    assert.match(getUploadRuleError('red.png', 500, sniffImage(png(1600, 100)), RULES), /exceed 800x\*/);
+    assert.match(getUploadRuleError('a.png', 500, image, RULES), /Name length 5 is out of 6-20/);
+    assert.match(getUploadRuleError('Red.png', 500, image, RULES), /characters that the file manager changes/);
+});
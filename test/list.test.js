@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { isSameName, readAllPages } = require('../lib/list.js');
+
+const collect = async iterator => {
+    const entries = [];
+    for await (const entry of iterator) entries.push(entry);
+    return entries;
+};
+
+test('isSameName ignores case and surrounding spaces', () => {
+    assert.ok(isSameName(' Apple ', 'apple'));
+    assert.ok(!isSameName('Apple', 'Apples'));
+});
+
+test('readAllPages stops at an empty page', async () => {
+    const pages = [[{ id: '1' }, { id: '2' }], [{ id: '3' }], []];
+    const entries = await collect(readAllPages(async pageNumber => pages[pageNumber - 1], entry => entry.id));
+
+    assert.deepStrictEqual(entries.map(entry => entry.id), ['1', '2', '3']);
+});
+
+test('readAllPages stops at a repeated last page', async () => {
+    const pages = [[{ id: '1' }], [{ id: '2' }]];
+    const readPage = async pageNumber => pages[Math.min(pageNumber, pages.length) - 1];
+
+    const entries = await collect(readAllPages(readPage, entry => entry.id));
+
+    assert.deepStrictEqual(entries.map(entry => entry.id), ['1', '2']);
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractToken, tokenizeUrl } = require('../lib/url.js');
+
+test('extractToken reads a token parameter', () => {
+    const url = 'http://shop.test/admin/index.php?route=common/home&token=abc123';
+    assert.strictEqual(extractToken(url), 'abc123');
+});
+
+test('extractToken reads a user_token parameter', () => {
+    const url = 'http://shop.test/admin/index.php?route=common/dashboard&user_token=f00&filter=1';
+    assert.strictEqual(extractToken(url, 'user_token'), 'f00');
+});
+
+test('extractToken does not take a user_token for a token', () => {
+    const url = 'http://shop.test/admin/index.php?route=common/dashboard&user_token=f00';
+    assert.throws(() => extractToken(url), /does not contain a token parameter/);
+});
+
+test('tokenizeUrl appends a token', () => {
+    assert.strictEqual(tokenizeUrl('index.php?route=catalog/product', 'abc'),
+        'index.php?route=catalog/product&token=abc');
+});
+
+test('tokenizeUrl overrides an existing token', () => {
+    assert.strictEqual(tokenizeUrl('index.php?route=catalog/product&user_token=old', 'new', 'user_token'),
+        'index.php?route=catalog/product&user_token=new');
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveVersion, matchVersions } = require('../lib/version.js');
+
+test('resolveVersion accepts a profile name', () => {
+    assert.strictEqual(resolveVersion('1.5'), '1.5');
+    assert.strictEqual(resolveVersion('3.x'), '3.x');
+});
+
+test('resolveVersion matches a full version by its major and minor parts', () => {
+    assert.strictEqual(resolveVersion('1.5.6.4'), '1.5');
+    assert.strictEqual(resolveVersion('2.3.0.2'), '2.x');
+    assert.strictEqual(resolveVersion('3.0.3.8'), '3.x');
+    assert.strictEqual(resolveVersion('4.0.2.3'), '4.x');
+});
+
+test('resolveVersion returns null for an unknown version', () => {
+    assert.strictEqual(resolveVersion('1.4.9'), null);
+    assert.strictEqual(resolveVersion('5.0'), null);
+});
+
+test('matchVersions prefers a footer version over other signals', () => {
+    const signals = { footerVersion: '3.0.2.0', markups: ['2.x', '3.x'], tokenParam: 'token' };
+    assert.deepStrictEqual(matchVersions(signals), ['3.x']);
+});
+
+test('matchVersions returns nothing for an unknown footer version', () => {
+    const signals = { footerVersion: '9.9', markups: ['3.x'], tokenParam: 'user_token' };
+    assert.deepStrictEqual(matchVersions(signals), []);
+});
+
+test('matchVersions narrows markups by a token parameter', () => {
+    assert.deepStrictEqual(matchVersions({ footerVersion: null, markups: ['2.x', '3.x'], tokenParam: 'user_token' }),
+        ['3.x']);
+    assert.deepStrictEqual(matchVersions({ footerVersion: null, markups: ['2.x', '3.x'], tokenParam: null }),
+        ['2.x', '3.x']);
+});